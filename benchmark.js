@@ -3,6 +3,9 @@ import { math } from './src/decimal.js'
 
 const ITERATIONS = 100000
 const WARMUP = 10000
+// Compiled templates should stay close to hand-written calls: a cached template costs a lookup and
+// the value checks, so a gap well beyond this means per-call work crept back into the hot path
+const MAX_ADVANTAGE = 35
 
 const testData = Array.from({ length: ITERATIONS }, () => ({
   a: new Decimal(Math.random() * 100),
@@ -36,7 +39,7 @@ function runBench(name, fn) {
 
 console.log(`Running benchmarks (${ITERATIONS} iterations, ${WARMUP} warmup)...\n`)
 
-const result = runBench('decimation (AST cache)', (a, b, c, d, e, f) => {
+const result = runBench('decimation (compiled)', (a, b, c, d, e, f) => {
   return math`(${a} + ${b}) * ${c} - ${d} / ${e} + abs(${f}) ** ${2}`
 })
 
@@ -44,6 +47,10 @@ const baseline = runBench('Baseline (manual)', (a, b, c, d, e, f) => {
   return a.add(b).mul(c).sub(d.div(e)).add(f.abs().pow(2))
 })
 
-console.log(
-  `Manual Advantage:   ${((1 - baseline / result) * 100).toFixed(2)}% faster than decimation`
-)
+const advantage = (1 - baseline / result) * 100
+console.log(`Manual Advantage:   ${advantage.toFixed(2)}% faster than decimation`)
+
+if (advantage > MAX_ADVANTAGE) {
+  console.error(`\nRegression: manual calls are more than ${MAX_ADVANTAGE}% faster`)
+  process.exitCode = 1
+}
@@ -0,0 +1,20 @@
+import Big from 'big.js'
+import { create, bigAdapter, print, references } from './core.js'
+
+const { math, is, compile, evaluate, parse, simplify, derivative, solve, Formula, defineFormula } =
+  create(bigAdapter(Big))
+
+export {
+  math,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula,
+  print,
+  references,
+}
@@ -0,0 +1,19 @@
+import { create, bigintAdapter, print, references } from './core.js'
+
+const { math, is, compile, evaluate, parse, simplify, derivative, solve, Formula, defineFormula } =
+  create(bigintAdapter)
+
+export {
+  math,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula,
+  print,
+  references,
+}
@@ -0,0 +1,20 @@
+import BigNumber from 'bignumber.js'
+import { create, bigNumberAdapter, print, references } from './core.js'
+
+const { math, is, compile, evaluate, parse, simplify, derivative, solve, Formula, defineFormula } =
+  create(bigNumberAdapter(BigNumber))
+
+export {
+  math,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula,
+  print,
+  references,
+}
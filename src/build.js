@@ -0,0 +1,608 @@
+/** @import {PrecompiledTemplate} from './types' */
+
+import { readFile } from 'node:fs/promises'
+
+import { DecimationSyntaxError } from './core.js'
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} file - File name, as passed to check() or transform()
+ * @property {number} line - 1-based line
+ * @property {number} column - 0-based column
+ * @property {string} message - Error description
+ * @property {string} [snippet] - Template line with a caret under the offending token
+ */
+
+/**
+ * @typedef {Object} TemplateLiteral
+ * @property {number} start - Offset of the opening backtick
+ * @property {number} end - Offset after the closing backtick
+ * @property {Array<{ start: number, end: number }>} quasis - Raw template strings
+ * @property {Expression[]} expressions - Interpolated expressions
+ */
+
+/**
+ * @typedef {Object} Expression
+ * @property {number} start - Offset after `${`
+ * @property {number} end - Offset of the closing `}`
+ * @property {TemplateLiteral[]} templates - Template literals within the expression
+ */
+
+/**
+ * @typedef {Object} Tag
+ * @property {string} entry - Entry point whose instance evaluates the tag, e.g. 'decimal.js'
+ * @property {'math' | 'is'} mode
+ */
+
+/**
+ * @typedef {{ math: { precompile: (template: ReadonlyArray<string>) => PrecompiledTemplate | null }, is: { precompile: (template: ReadonlyArray<string>) => PrecompiledTemplate | null } }} Instance
+ */
+
+// Entry points by module specifier. Prisma's Decimal is a decimal.js clone, so its templates
+// compile like decimal.js ones without loading the Prisma client.
+/** @type {Record<string, string>} */
+const ENTRY_POINTS = {
+  'decimation/decimal.js': 'decimal.js',
+  'decimation/prisma': 'decimal.js',
+  'decimation/big.js': 'big.js',
+  'decimation/bignumber.js': 'bignumber.js',
+  'decimation/bigint': 'bigint',
+}
+
+// Entry points of create() arguments by module and export, 'default' for default imports
+/** @type {Map<string, Map<string, string>>} */
+const CONSTRUCTORS = new Map([
+  [
+    'decimal.js',
+    new Map([
+      ['default', 'decimal.js'],
+      ['Decimal', 'decimal.js'],
+    ]),
+  ],
+  ['@prisma/client/runtime/library', new Map([['Decimal', 'decimal.js']])],
+  ['decimation', new Map([['bigintAdapter', 'bigint']])],
+])
+
+// Instances of the entry points whose library is installed
+/** @type {Map<string, Instance>} */
+const instances = new Map()
+for (const [entry, path] of /** @type {const} */ ([
+  ['decimal.js', './decimal.js'],
+  ['big.js', './big.js'],
+  ['bignumber.js', './bignumber.js'],
+  ['bigint', './bigint.js'],
+])) {
+  try {
+    instances.set(entry, await import(path))
+  } catch {
+    // Templates of an entry point without its library are left to runtime
+  }
+}
+
+// Keywords after which `/` starts a regular expression rather than a division
+const KEYWORDS = new Set([
+  'await',
+  'case',
+  'delete',
+  'do',
+  'else',
+  'in',
+  'instanceof',
+  'new',
+  'of',
+  'return',
+  'throw',
+  'typeof',
+  'void',
+  'yield',
+])
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*'
+
+// Names a tag may be written as, e.g. math or d.math, not preceded by another property access
+const TAG = new RegExp(`(?<![\\w$.])((?:${IDENTIFIER}\\s*\\.\\s*)?${IDENTIFIER})\\s*$`)
+
+// Prefix of the variables holding precompiled templates
+const PRECOMPILED = '__decimation'
+
+/**
+ * Finds template literals in code, skipping comments, strings and regular expressions
+ * @param {string} code
+ * @param {number} start - Offset to scan from
+ * @param {boolean} nested - Stop at the `}` closing an interpolated expression
+ * @returns {{ templates: TemplateLiteral[], end: number }}
+ */
+function scan(code, start, nested) {
+  /** @type {TemplateLiteral[]} */
+  const templates = []
+  let depth = 0
+  let regexAllowed = true
+  let i = start
+
+  while (i < code.length) {
+    const char = code[i]
+    const next = code[i + 1]
+
+    if (char === '/' && next === '/') {
+      const end = code.indexOf('\n', i)
+      i = end === -1 ? code.length : end
+    } else if (char === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2)
+      i = end === -1 ? code.length : end + 2
+    } else if (char === '"' || char === "'") {
+      i = skipString(code, i)
+      regexAllowed = false
+    } else if (char === '`') {
+      const template = scanTemplate(code, i)
+      templates.push(template)
+      i = template.end
+      regexAllowed = false
+    } else if (char === '/' && regexAllowed) {
+      i = skipRegex(code, i)
+      regexAllowed = false
+    } else if (/[\w$]/.test(char)) {
+      const word = /** @type {RegExpExecArray} */ (/[\w$]+/y.exec(code.slice(i)))[0]
+      i += word.length
+      regexAllowed = KEYWORDS.has(word)
+    } else {
+      if (char === '{') depth++
+      if (char === '}') {
+        if (nested && depth === 0) return { templates, end: i }
+        depth--
+      }
+      if (!/\s/.test(char)) regexAllowed = char !== ')' && char !== ']' && char !== '}'
+      i++
+    }
+  }
+
+  return { templates, end: i }
+}
+
+/**
+ * Returns the offset after a string literal
+ * @param {string} code
+ * @param {number} start - Offset of the opening quote
+ * @returns {number}
+ */
+function skipString(code, start) {
+  const quote = code[start]
+  let i = start + 1
+  while (i < code.length && code[i] !== quote && code[i] !== '\n') {
+    i += code[i] === '\\' ? 2 : 1
+  }
+  return i + 1
+}
+
+/**
+ * Returns the offset after a regular expression literal, or after the `/` of a division
+ * @param {string} code
+ * @param {number} start - Offset of the opening `/`
+ * @returns {number}
+ */
+function skipRegex(code, start) {
+  let inClass = false
+  let i = start + 1
+  while (i < code.length && code[i] !== '\n') {
+    const char = code[i]
+    if (char === '\\') i++
+    else if (char === '[') inClass = true
+    else if (char === ']') inClass = false
+    else if (char === '/' && !inClass) return i + 1
+    i++
+  }
+  return start + 1
+}
+
+/**
+ * Scans a template literal with its interpolated expressions
+ * @param {string} code
+ * @param {number} start - Offset of the opening backtick
+ * @returns {TemplateLiteral}
+ */
+function scanTemplate(code, start) {
+  /** @type {TemplateLiteral} */
+  const template = { start, end: code.length, quasis: [], expressions: [] }
+  let quasi = start + 1
+  let i = quasi
+
+  while (i < code.length) {
+    if (code[i] === '\\') {
+      i += 2
+    } else if (code[i] === '`') {
+      template.quasis.push({ start: quasi, end: i })
+      template.end = i + 1
+      break
+    } else if (code[i] === '$' && code[i + 1] === '{') {
+      template.quasis.push({ start: quasi, end: i })
+      const { templates, end } = scan(code, i + 2, true)
+      template.expressions.push({ start: i + 2, end, templates })
+      quasi = i = end + 1
+    } else {
+      i++
+    }
+  }
+
+  return template
+}
+
+/**
+ * Evaluates the escapes of a raw template string, like the strings passed to a tag
+ * @param {string} raw
+ * @returns {{ cooked: string, offsets: number[] }} Cooked string and the raw offset of each character
+ */
+function cook(raw) {
+  const ESCAPES = /** @type {Record<string, string>} */ ({
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    b: '\b',
+    f: '\f',
+    v: '\v',
+    0: '\0',
+  })
+  let cooked = ''
+  /** @type {number[]} */
+  const offsets = []
+  let i = 0
+
+  while (i < raw.length) {
+    const start = i
+    let char = raw[i++]
+    if (char === '\\') {
+      const escape = /^(?:x([\da-fA-F]{2})|u([\da-fA-F]{4})|u\{([\da-fA-F]+)\}|\r?\n|.)/s.exec(
+        raw.slice(i)
+      )
+      const [text, hex, unicode, codePoint] = /** @type {RegExpExecArray} */ (escape)
+      i += text.length
+      const code = hex ?? unicode ?? codePoint
+      if (code) char = String.fromCodePoint(parseInt(code, 16))
+      else if (text.endsWith('\n')) char = ''
+      else char = ESCAPES[text] ?? text
+    } else if (char === '\r') {
+      // Template strings normalize line endings
+      if (raw[i] === '\n') i++
+      char = '\n'
+    }
+    cooked += char
+    for (let j = 0; j < char.length; j++) offsets.push(start)
+  }
+  offsets.push(raw.length)
+
+  return { cooked, offsets }
+}
+
+/**
+ * Finds tags imported from decimation entry points, or destructured from create() of a
+ * constructor or adapter imported from a known module, e.g. create(Decimal) with Decimal from
+ * decimal.js. Other instances are left to runtime, as are ones created with options, their
+ * functions and units are unknown when building.
+ * @param {string} code
+ * @returns {Map<string, Tag>} Tag by name as written, e.g. 'math' or 'd.is'
+ */
+function findTags(code) {
+  /** @type {Map<string, Tag>} */
+  const tags = new Map()
+  const uncommented = code.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, match =>
+    match.replace(/[^\n]/g, ' ')
+  )
+  /** @type {string[]} */
+  const creates = []
+  /** @type {Map<string, string>} */
+  const constructors = new Map()
+
+  const imports = /import\s+(?:type\s+)?([^'";]*?)\s*from\s*(['"])([^'"]+)\2/g
+  for (const [, clause, , specifier] of uncommented.matchAll(imports)) {
+    const entry = ENTRY_POINTS[specifier]
+    const namespace = new RegExp(`^\\*\\s*as\\s+(${IDENTIFIER})$`).exec(clause)
+    if (entry && namespace) {
+      tags.set(`${namespace[1]}.math`, { entry, mode: 'math' })
+      tags.set(`${namespace[1]}.is`, { entry, mode: 'is' })
+      continue
+    }
+    const exports = CONSTRUCTORS.get(specifier)
+    const defaultImport = new RegExp(`^(${IDENTIFIER})\\s*(?:,|$)`).exec(clause)
+    const defaultEntry = exports?.get('default')
+    if (defaultImport && defaultEntry) constructors.set(defaultImport[1], defaultEntry)
+    for (const [imported, local = imported] of namedBindings(clause)) {
+      const constructorEntry = exports?.get(imported)
+      if (constructorEntry) constructors.set(local, constructorEntry)
+      if (entry && (imported === 'math' || imported === 'is')) {
+        tags.set(local, { entry, mode: imported })
+      } else if (specifier === 'decimation' && imported === 'create') {
+        creates.push(local)
+      }
+    }
+  }
+
+  for (const create of creates) {
+    const instances = new RegExp(
+      `(?:const|let|var)\\s+(\\{[^}]*\\}|${IDENTIFIER})\\s*=\\s*${create}\\(\\s*(${IDENTIFIER})\\s*\\)`,
+      'g'
+    )
+    for (const [, binding, argument] of uncommented.matchAll(instances)) {
+      const entry = constructors.get(argument)
+      if (!entry) continue
+      if (!binding.startsWith('{')) {
+        tags.set(`${binding}.math`, { entry, mode: 'math' })
+        tags.set(`${binding}.is`, { entry, mode: 'is' })
+        continue
+      }
+      for (const [property, local = property] of namedBindings(binding, ':')) {
+        if (property === 'math' || property === 'is') {
+          tags.set(local, { entry, mode: property })
+        }
+      }
+    }
+  }
+
+  return tags
+}
+
+/**
+ * Lists the names of `{ a, b as c }` imports or `{ a, b: c }` destructuring
+ * @param {string} clause
+ * @param {string} [separator] - Between a name and its local alias
+ * @returns {Array<[string, string | undefined]>} Names with their aliases
+ */
+function namedBindings(clause, separator = 'as') {
+  const braces = /\{([^}]*)\}/.exec(clause)
+  if (!braces) return []
+  return braces[1]
+    .split(',')
+    .map(binding => binding.trim().replace(/^type\s+/, ''))
+    .filter(Boolean)
+    .map(binding => {
+      const [name, alias] = binding.split(separator).map(part => part.trim())
+      return [name, alias]
+    })
+}
+
+/**
+ * Checks and precompiles the tagged templates of a file
+ * @param {string} code
+ * @param {string} file - File name for diagnostics
+ * @returns {{ code: string | null, diagnostics: Diagnostic[] }} Rewritten code, null when
+ * nothing was precompiled
+ */
+function compileFile(code, file) {
+  /** @type {Diagnostic[]} */
+  const diagnostics = []
+  if (!code.includes('decimation')) return { code: null, diagnostics }
+
+  const tags = findTags(code)
+  const { templates } = scan(code, 0, false)
+  /** @type {string[]} */
+  const declarations = []
+
+  /**
+   * Renders code with tagged templates replaced by precompiled ones
+   * @param {number} start
+   * @param {number} end
+   * @param {TemplateLiteral[]} literals - Template literals within the range
+   * @returns {string}
+   */
+  const render = (start, end, literals) => {
+    let output = ''
+    let position = start
+    for (const literal of literals) {
+      const replaced = replace(literal)
+      output += code.slice(position, replaced.start) + replaced.text
+      position = literal.end
+    }
+    return output + code.slice(position, end)
+  }
+
+  /**
+   * Precompiles a tagged template, or renders it with the templates nested in it
+   * @param {TemplateLiteral} literal
+   * @returns {{ start: number, text: string }}
+   */
+  const replace = literal => {
+    const expressions = literal.expressions.map(({ start, end, templates }) =>
+      render(start, end, templates)
+    )
+    const unchanged = () => {
+      let text = '`'
+      literal.quasis.forEach(({ start, end }, i) => {
+        text += code.slice(start, end)
+        if (i < expressions.length) text += `\${${expressions[i]}}`
+      })
+      return { start: literal.start, text: `${text}\`` }
+    }
+
+    const match = TAG.exec(code.slice(Math.max(0, literal.start - 200), literal.start))
+    const name = match?.[1].replace(/\s/g, '')
+    const tag = name === undefined ? undefined : tags.get(name)
+    const instance = tag && instances.get(tag.entry)
+    const terminated = literal.quasis.length === literal.expressions.length + 1
+    if (!match || !name || !tag || !instance || !terminated) return unchanged()
+
+    const strings = literal.quasis.map(({ start, end }) => cook(code.slice(start, end)))
+    /** @type {PrecompiledTemplate | null} */
+    let precompiled
+    try {
+      precompiled = instance[tag.mode].precompile(strings.map(({ cooked }) => cooked))
+    } catch (error) {
+      diagnostics.push(diagnose(error, literal, strings, code, file))
+      return unchanged()
+    }
+    if (!precompiled) return unchanged()
+
+    const variable = `${PRECOMPILED}${declarations.length}`
+    declarations.push(variable)
+    const { source, ...data } = precompiled
+    // On one line, so the following lines stay in place
+    const body = source
+      .replace(/\{\n\s*/, '{ ')
+      .replace(/\n\}$/, ' }')
+      .replace(/\n\s*/g, '; ')
+    const evaluate = `(D, o, c, f, fallback) => ${body}`
+    const description = `${JSON.stringify(data).slice(0, -1)}, "evaluate": ${evaluate} }`
+    // Without ??=, which is ES2021
+    const registered = `${variable} || (${variable} = ${name}.precompiled(${JSON.stringify(
+      strings.map(({ cooked }) => cooked)
+    )}, ${description}))`
+    const lines = literal.quasis.reduce(
+      (count, { start, end }) => count + (code.slice(start, end).match(/\n/g)?.length ?? 0),
+      0
+    )
+    const args = expressions.map(expression => `, ${expression}`).join('')
+    return {
+      start: literal.start - match[0].length,
+      text: `${name}((${registered})${args}${'\n'.repeat(lines)})`,
+    }
+  }
+
+  const output = render(0, code.length, templates)
+  return {
+    code: declarations.length ? `${output}\nvar ${declarations.join(', ')}\n` : null,
+    diagnostics,
+  }
+}
+
+/**
+ * Locates a template error in the file
+ * @param {unknown} error
+ * @param {TemplateLiteral} literal
+ * @param {Array<{ cooked: string, offsets: number[] }>} strings - Cooked template strings
+ * @param {string} code
+ * @param {string} file
+ * @returns {Diagnostic}
+ */
+function diagnose(error, literal, strings, code, file) {
+  let offset = literal.start
+  let message = String(error)
+  /** @type {string | undefined} */
+  let snippet
+  if (error instanceof DecimationSyntaxError) {
+    const quasi = literal.quasis[error.segment]
+    offset = quasi.start + strings[error.segment].offsets[error.column]
+    message = error.message.split('\n')[0].replace(/ \(segment \d+, column \d+\)$/, '')
+    snippet = error.snippet
+  } else if (error instanceof Error) {
+    message = error.message
+  }
+  const before = code.slice(0, offset)
+  const line = before.split('\n').length
+  const column = offset - (before.lastIndexOf('\n') + 1)
+  return { file, line, column, message, ...(snippet && { snippet }) }
+}
+
+/**
+ * Lists errors in the `math` and `is` templates of a file, e.g. for a CI check
+ * @param {string} code - JavaScript or TypeScript source
+ * @param {string} [file] - File name for diagnostics
+ * @returns {Diagnostic[]}
+ */
+export function check(code, file = '<input>') {
+  return compileFile(code, file).diagnostics
+}
+
+/**
+ * Rewrites the `math` and `is` templates of a file into precompiled functions, so they run
+ * without parsing. Throws a BuildError listing the templates with errors.
+ * @param {string} code - JavaScript or TypeScript source
+ * @param {string} [file] - File name for errors
+ * @returns {string | null} Rewritten code, null when it has no templates to precompile
+ */
+export function transform(code, file = '<input>') {
+  const result = compileFile(code, file)
+  if (result.diagnostics.length) throw new BuildError(result.diagnostics)
+  return result.code
+}
+
+/**
+ * Template errors found when building
+ */
+export class BuildError extends Error {
+  /**
+   * @param {Diagnostic[]} diagnostics
+   */
+  constructor(diagnostics) {
+    super(diagnostics.map(formatDiagnostic).join('\n'))
+    this.name = 'BuildError'
+    /** Errors by location */
+    this.diagnostics = diagnostics
+  }
+}
+
+/**
+ * Formats an error as `file:line:column: message`, with a 1-based column like editors
+ * @param {Diagnostic} diagnostic
+ * @returns {string}
+ */
+export function formatDiagnostic({ file, line, column, message }) {
+  return `${file}:${line}:${column + 1}: ${message}`
+}
+
+// Files the plugins transform
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/
+
+/**
+ * Vite and Rollup plugin
+ * @returns {{ name: string, enforce: 'pre', transform: (this: any, code: string, id: string) => { code: string, map: null } | null }}
+ */
+export function vitePlugin() {
+  return {
+    name: 'decimation',
+    enforce: 'pre',
+    transform(code, id) {
+      if (!SOURCE_FILE.test(id.split('?')[0]) || id.includes('/node_modules/')) return null
+      const result = compileFile(code, id)
+      const [first] = result.diagnostics
+      if (first) {
+        this.error({
+          message: result.diagnostics.map(formatDiagnostic).join('\n'),
+          id,
+          loc: { file: id, line: first.line, column: first.column },
+        })
+      }
+      return result.code === null ? null : { code: result.code, map: null }
+    },
+  }
+}
+
+/**
+ * esbuild plugin
+ * @returns {{ name: string, setup: (build: any) => void }}
+ */
+export function esbuildPlugin() {
+  return {
+    name: 'decimation',
+    setup(build) {
+      build.onLoad(
+        { filter: SOURCE_FILE },
+        /** @param {{ path: string }} args */
+        async ({ path }) => {
+          if (path.includes('/node_modules/')) return undefined
+          const code = await readFile(path, 'utf8')
+          const result = compileFile(code, path)
+          if (result.diagnostics.length) {
+            return {
+              errors: result.diagnostics.map(({ file, line, column, message }) => ({
+                text: message,
+                location: { file, line, column, lineText: code.split('\n')[line - 1] },
+              })),
+            }
+          }
+          if (result.code === null) return undefined
+          const extension = /** @type {string} */ (/\.([cm]?)([jt]sx?)$/.exec(path)?.[2])
+          return { contents: result.code, loader: extension }
+        }
+      )
+    },
+  }
+}
+
+/**
+ * Babel plugin, rewriting the source before Babel parses it
+ * @returns {{ name: string, parserOverride: (code: string, options: any, parse: (code: string, options: any) => any) => any }}
+ */
+export function babelPlugin() {
+  return {
+    name: 'decimation',
+    parserOverride(code, options, parse) {
+      return parse(transform(code, options.sourceFileName ?? '<input>') ?? code, options)
+    },
+  }
+}
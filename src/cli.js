@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+import { readdir, readFile, stat } from 'node:fs/promises'
+import { join } from 'node:path'
+
+import { check, formatDiagnostic } from './build.js'
+
+const USAGE = `Usage: decimation check [files or directories...]
+
+Reports errors in math and is templates without bundling. Directories are searched for
+JavaScript and TypeScript files, skipping node_modules and hidden directories.`
+
+// Files checked in directories
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/
+
+/**
+ * Lists source files in a file or directory
+ * @param {string} path
+ * @returns {Promise<string[]>}
+ */
+async function sourceFiles(path) {
+  if (!(await stat(path)).isDirectory()) return [path]
+  /** @type {string[]} */
+  const files = []
+  for (const entry of await readdir(path, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue
+    const child = join(path, entry.name)
+    if (entry.isDirectory()) files.push(...(await sourceFiles(child)))
+    else if (SOURCE_FILE.test(entry.name)) files.push(child)
+  }
+  return files
+}
+
+const [command, ...paths] = process.argv.slice(2)
+if (command !== 'check') {
+  console.error(USAGE)
+  process.exit(command === '--help' || command === '-h' ? 0 : 2)
+}
+
+let errors = 0
+const files = (await Promise.all((paths.length ? paths : ['.']).map(sourceFiles))).flat()
+for (const file of files) {
+  for (const diagnostic of check(await readFile(file, 'utf8'), file)) {
+    errors++
+    console.error(formatDiagnostic(diagnostic))
+    if (diagnostic.snippet) console.error(`${diagnostic.snippet}\n`)
+  }
+}
+const plural = (/** @type {number} */ n, /** @type {string} */ noun) =>
+  `${n} ${noun}${n === 1 ? '' : 's'}`
+console.error(`${plural(errors, 'template error')} in ${plural(files.length, 'file')}`)
+process.exit(errors ? 1 : 0)
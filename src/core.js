@@ -1,30 +1,448 @@
-/** @import {Operator, Token, ASTNode, DecimalConstructor, DecimalInstance, DecimalValue} from './types' */
+/** @import {Operator, BinaryOperator, Token, TokenPosition, ASTNode, ArgumentKind, CreateOptions, FunctionDefinition, ResolvedFunction, CompileContext, CompiledFunction, CompiledTemplate, CompileOptions, InputOptions, InputPolicy, InputSlot, LinkableTemplate, PrecompiledTemplate, DerivativeRule, Equation, Explanation, FormulaJSON, References, SolveOptions, SQLFragment, Step, Trace, TypedFormula, VariableSlot, DecimalAdapter, DecimalConstructor, DecimalInstance, DecimalValue, Dimensions, FormulaValue, Money, MoneyOptions, Unit, UnitDefinition, UnitRegistry} from './types' */
 
 // Operator precedence (higher number = higher precedence)
 /** @type {Readonly<Record<Operator, number>>} */
 export const PRECEDENCE = {
-  '<': 1,
-  '<=': 1,
-  '==': 1,
-  '>': 1,
-  '>=': 1,
-  '!=': 1,
-  '+': 2,
-  '-': 2,
-  '*': 3,
-  '/': 3,
-  '**': 4,
+  '||': 1,
+  '&&': 2,
+  '<': 3,
+  '<=': 3,
+  '==': 3,
+  '>': 3,
+  '>=': 3,
+  '!=': 3,
+  '+': 4,
+  '-': 4,
+  '*': 5,
+  '/': 5,
+  '%': 5,
+  '**': 6,
 }
 
 // Right-associative operators
 export const RIGHT_ASSOC = new Set(['**'])
 
-// Comparison operators (only allowed in 'is' mode)
+// Comparison operators (produce booleans, for 'is' templates and conditions)
 export const COMPARISON_OPS = new Set(['<', '<=', '==', '>', '>=', '!='])
 
+// Built-in template functions, overridable or removable via create() options
+/** @type {Readonly<Record<string, FunctionDefinition>>} */
+export const BUILTIN_FUNCTIONS = {
+  abs: { arity: 1, fn: x => x.abs() },
+  ceil: {
+    arity: [1, 2],
+    usage: 'ceil(value, decimalPlaces)',
+    fn(x, dp) {
+      return dp === undefined ? x.ceil() : roundTo(this, x, dp, 'ROUND_CEIL', 'ceil()')
+    },
+  },
+  floor: {
+    arity: [1, 2],
+    usage: 'floor(value, decimalPlaces)',
+    fn(x, dp) {
+      return dp === undefined ? x.floor() : roundTo(this, x, dp, 'ROUND_FLOOR', 'floor()')
+    },
+  },
+  trunc: {
+    arity: [1, 2],
+    usage: 'trunc(value, decimalPlaces)',
+    fn(x, dp) {
+      return dp === undefined
+        ? invoke(x, 'trunc', 'trunc()')
+        : roundTo(this, x, dp, 'ROUND_DOWN', 'trunc()')
+    },
+  },
+  round: {
+    arity: [1, 3],
+    usage: 'round(value, decimalPlaces, roundingMode)',
+    fn(x, dp, mode) {
+      if (dp === undefined) return x.round()
+      const args = mode === undefined ? [Number(dp)] : [Number(dp), Number(mode)]
+      return invoke(x, 'toDecimalPlaces', 'round()', ...args)
+    },
+  },
+  clamp: { arity: 3, usage: 'clamp(value, min, max)', fn: (x, min, max) => x.clamp(min, max) },
+  sign: {
+    arity: 1,
+    fn(x) {
+      return new this(invoke(this, 'sign', 'sign()', x))
+    },
+  },
+  mod: { arity: 2, usage: 'mod(value, divisor)', fn: (x, y) => invoke(x, 'mod', 'mod()', y) },
+  sqrt: { arity: 1, fn: x => invoke(x, 'sqrt', 'sqrt()') },
+  exp: { arity: 1, fn: x => invoke(x, 'exp', 'exp()') },
+  ln: { arity: 1, fn: x => invoke(x, 'ln', 'ln()') },
+  log: {
+    arity: [1, 2],
+    usage: 'log(value, base)',
+    fn: (x, base) =>
+      base === undefined ? invoke(x, 'log', 'log()') : invoke(x, 'log', 'log()', base),
+  },
+  sum: {
+    arity: 1,
+    args: 'array',
+    fn(values) {
+      return this.sum(0, ...flatten(this, [values]))
+    },
+  },
+  min: {
+    arity: [1, Infinity],
+    args: 'any',
+    fn(...args) {
+      return invoke(this, 'min', 'min()', ...nonEmpty(this, args, 'min()'))
+    },
+  },
+  max: {
+    arity: [1, Infinity],
+    args: 'any',
+    fn(...args) {
+      return invoke(this, 'max', 'max()', ...nonEmpty(this, args, 'max()'))
+    },
+  },
+  avg: {
+    arity: [1, Infinity],
+    args: 'any',
+    fn(...args) {
+      const values = nonEmpty(this, args, 'avg()')
+      return this.sum(...values).div(values.length)
+    },
+  },
+  mean: {
+    arity: [1, Infinity],
+    args: 'any',
+    fn(...args) {
+      const values = nonEmpty(this, args, 'mean()')
+      return this.sum(...values).div(values.length)
+    },
+  },
+  product: {
+    arity: [1, Infinity],
+    args: 'any',
+    fn(...args) {
+      return flatten(this, args).reduce((acc, x) => acc.mul(x), new this(1))
+    },
+  },
+  hypot: {
+    arity: [1, Infinity],
+    args: 'any',
+    fn(...args) {
+      return invoke(this, 'hypot', 'hypot()', ...flatten(this, args))
+    },
+  },
+}
+
+/**
+ * Calls a method of a Decimal instance or constructor, reporting a clear error when the
+ * configured constructor doesn't provide it
+ * @param {any} target - Decimal instance or constructor
+ * @param {string} method - Method name
+ * @param {string} caller - Template function or operator needing the method
+ * @param {...any} args
+ * @returns {any}
+ */
+function invoke(target, method, caller, ...args) {
+  assert(
+    typeof target[method] === 'function',
+    `${caller} is not supported: the Decimal constructor has no ${method}() method`
+  )
+  return target[method](...args)
+}
+
+/**
+ * Rounds to decimal places with one of the constructor's rounding modes
+ * @param {DecimalConstructor} Decimal
+ * @param {DecimalInstance} x
+ * @param {DecimalInstance} dp - Decimal places
+ * @param {string} mode - Rounding mode constant, e.g. 'ROUND_FLOOR'
+ * @param {string} caller - Template function name
+ * @returns {DecimalInstance}
+ */
+function roundTo(Decimal, x, dp, mode, caller) {
+  const rounding = /** @type {any} */ (Decimal)[mode]
+  assert(
+    typeof rounding === 'number',
+    `${caller} with decimal places is not supported: the Decimal constructor has no ${mode}`
+  )
+  return invoke(x, 'toDecimalPlaces', caller, Number(dp), rounding)
+}
+
+/**
+ * Casts an array element to Decimal
+ * @param {DecimalConstructor} Decimal
+ * @param {DecimalValue | DecimalInstance} x
+ * @returns {DecimalInstance}
+ */
+function toDecimal(Decimal, x) {
+  return isInstance(x, Decimal) ? x : new Decimal(x)
+}
+
+/**
+ * Flattens scalar and array arguments into Decimals
+ * @param {DecimalConstructor} Decimal
+ * @param {Array<DecimalInstance | Array<DecimalValue | DecimalInstance>>} args
+ * @returns {DecimalInstance[]}
+ */
+function flatten(Decimal, args) {
+  return args.flatMap(arg => (Array.isArray(arg) ? arg.map(x => toDecimal(Decimal, x)) : [arg]))
+}
+
+/**
+ * Flattens arguments, requiring at least one value
+ * @param {DecimalConstructor} Decimal
+ * @param {Array<DecimalInstance | Array<DecimalValue | DecimalInstance>>} args
+ * @param {string} caller - Template function name
+ * @returns {DecimalInstance[]}
+ */
+function nonEmpty(Decimal, args, caller) {
+  const values = flatten(Decimal, args)
+  assert(values.length > 0, `${caller} requires at least one value`)
+  return values
+}
+
+// Valid function and variable names, same as the identifiers accepted by tokenize()
+const FUNCTION_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * Resolves template functions from built-ins and user definitions
+ * @param {Record<string, FunctionDefinition | null | undefined>} [definitions] - User functions, null removes a built-in
+ * @returns {Map<string, ResolvedFunction>}
+ */
+export function resolveFunctions(definitions = {}) {
+  /** @type {Map<string, ResolvedFunction>} */
+  const functions = new Map()
+  const merged = { ...BUILTIN_FUNCTIONS, ...definitions }
+
+  for (const [name, definition] of Object.entries(merged)) {
+    if (definition == null) continue
+
+    if (!FUNCTION_NAME.test(name)) {
+      throw new TypeError(`Invalid function name: '${name}'`)
+    }
+    if (typeof definition.fn !== 'function') {
+      throw new TypeError(`Function '${name}' requires an fn implementation`)
+    }
+
+    const [min, max] =
+      typeof definition.arity === 'number' ? [definition.arity, definition.arity] : definition.arity
+    if (!(Number.isInteger(min) && min >= 0 && (Number.isInteger(max) || max === Infinity))) {
+      throw new TypeError(
+        `Function '${name}' has invalid arity, expected a number or [min, max] range`
+      )
+    }
+    if (max < min) {
+      throw new TypeError(`Function '${name}' has invalid arity: max is less than min`)
+    }
+
+    const args = definition.args ?? 'scalar'
+    const kinds = Array.isArray(args) ? args : [args]
+    for (const kind of kinds) {
+      if (kind !== 'scalar' && kind !== 'array' && kind !== 'any') {
+        throw new TypeError(`Function '${name}' has invalid argument kind: '${kind}'`)
+      }
+    }
+
+    const { usage, fn, derivative } = definition
+    functions.set(name, { name, min, max, kinds, usage, fn, derivative })
+  }
+
+  return functions
+}
+
+/**
+ * Returns the accepted kind of a function argument, the last declared kind repeats
+ * @param {ResolvedFunction} func
+ * @param {number} index - Argument position
+ * @returns {ArgumentKind}
+ */
+function argumentKind(func, index) {
+  return func.kinds[Math.min(index, func.kinds.length - 1)]
+}
+
+/**
+ * Describes the expected argument count of a function
+ * @param {ResolvedFunction} func
+ * @returns {string}
+ */
+function describeArity({ name, min, max, usage }) {
+  const count =
+    min === max
+      ? `${min} argument${min === 1 ? '' : 's'}`
+      : max === Infinity
+        ? `at least ${min} argument${min === 1 ? '' : 's'}`
+        : `${min} to ${max} arguments`
+  return `${name}() requires ${count}${usage ? `: ${usage}` : ''}`
+}
+
+// Placeholder shown for interpolated values in error snippets
+const PLACEHOLDER = '${…}'
+
+/**
+ * Syntax error in a template, pointing at the offending part of the source
+ */
+export class DecimationSyntaxError extends SyntaxError {
+  /**
+   * @param {string} message - Error description
+   * @param {ReadonlyArray<string>} template - Template strings
+   * @param {TokenPosition} position - Location of the offending token
+   */
+  constructor(message, template, position) {
+    const { segment, offset, length } = position
+    const token =
+      segment < template.length - 1 && offset === template[segment].length
+        ? PLACEHOLDER
+        : template[segment].slice(offset, offset + length)
+    const snippet = renderSnippet(template, position)
+    super(`${message} (segment ${segment}, column ${offset})\n\n${snippet}`)
+    this.name = 'DecimationSyntaxError'
+    /** Index of the template string segment */
+    this.segment = segment
+    /** Column offset within the segment */
+    this.column = offset
+    /** Source text of the offending token, empty at the end of template */
+    this.token = token
+    /** Template line with `${…}` placeholders and a caret under the offending token */
+    this.snippet = snippet
+  }
+}
+
+/**
+ * Rejected interpolated value or variable, naming where it comes from
+ */
+export class DecimationInputError extends TypeError {
+  /**
+   * @param {string} message - Error description
+   * @param {InputSlot} slot - Where the value comes from
+   * @param {unknown} [cause] - Error converting the value
+   */
+  constructor(message, { location, template, index }, cause) {
+    const snippet =
+      template && index !== undefined
+        ? renderSnippet(template, {
+            segment: index,
+            offset: template[index].length,
+            length: PLACEHOLDER.length,
+          })
+        : undefined
+    super(snippet ? `${message}\n\n${snippet}` : message)
+    this.name = 'DecimationInputError'
+    /** Value or variable, e.g. `${1}`, `${0}.items[2]` or `price` */
+    this.location = location
+    /** Index of the interpolated value, undefined for variables */
+    this.index = index
+    /** Template line with a caret under the value, when evaluating a template */
+    this.snippet = snippet
+    /** Error converting the value */
+    this.cause = cause
+  }
+}
+
+/**
+ * Renders the template line containing a position, with a caret underneath
+ * @param {ReadonlyArray<string>} template - Template strings
+ * @param {TokenPosition} position - Location to point at
+ * @returns {string}
+ */
+function renderSnippet(template, { segment, offset, length }) {
+  const source = template.join(PLACEHOLDER)
+  let index = offset
+  for (let i = 0; i < segment; i++) {
+    index += template[i].length + PLACEHOLDER.length
+  }
+
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1
+  const lineEnd = source.indexOf('\n', index)
+  const line = source.slice(lineStart, lineEnd === -1 ? undefined : lineEnd)
+  // Keep tabs so the caret lines up with the source
+  const indent = line.slice(0, index - lineStart).replace(/[^\t]/g, ' ')
+
+  return `  ${line}\n  ${indent}${'^'.repeat(Math.max(length, 1))}`
+}
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isIdentifierStart(char) {
+  return (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z') || char === '_'
+}
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isIdentifierPart(char) {
+  return isIdentifierStart(char) || (char >= '0' && char <= '9')
+}
+
+/**
+ * @param {string | undefined} char
+ * @returns {boolean}
+ */
+function isDigit(char) {
+  return char !== undefined && char >= '0' && char <= '9'
+}
+
+// Hex and binary integers, and decimals with an optional leading dot and exponent. Digits may
+// be separated by single underscores.
+const NUMBER_LITERAL =
+  /0[xX][\da-fA-F](?:_?[\da-fA-F])*|0[bB][01](?:_?[01])*|(?:\d(?:_?\d)*(?:\.(?:\d(?:_?\d)*)?)?|\.\d(?:_?\d)*)(?:[eE][+-]?\d(?:_?\d)*)?/y
+
+/**
+ * Reads a numeric literal, reporting malformed ones like 1.2.3, 1__000 or 0b102
+ * @param {ReadonlyArray<string>} template
+ * @param {number} segment - Index of the template string
+ * @param {number} offset - Start of the literal within the string
+ * @returns {{ value: string, length: number }} Decimal string value and source length
+ */
+function numberLiteral(template, segment, offset) {
+  const str = template[segment]
+  NUMBER_LITERAL.lastIndex = offset
+  const text = /** @type {RegExpExecArray} */ (NUMBER_LITERAL.exec(str))[0]
+  const radix = /^0[xXbB]/.test(text)
+  const next = str[offset + text.length]
+  const malformed =
+    next !== undefined &&
+    (radix
+      ? isIdentifierPart(next) || next === '.'
+      : /[\d_.]/.test(next) || (text === '0' && /[xXbB]/.test(next)))
+  if (malformed) {
+    const length = /** @type {RegExpExecArray} */ (/[\w.]*/y.exec(str.slice(offset)))[0].length
+    throw new DecimationSyntaxError(
+      `Invalid number: ${str.slice(offset, offset + length)}`,
+      template,
+      {
+        segment,
+        offset,
+        length,
+      }
+    )
+  }
+  const digits = text.replace(/_/g, '')
+  return { value: radix ? BigInt(digits).toString() : digits, length: text.length }
+}
+
+/**
+ * Checks whether '%' is a postfix percent rather than the remainder operator: it directly
+ * follows an operand, as in 5% or ${rate}%, and no operand follows it
+ * @param {ReadonlyArray<string>} template
+ * @param {number} segment - Index of the template string
+ * @param {number} offset - Position of '%' within the string
+ * @returns {boolean}
+ */
+function isPercent(template, segment, offset) {
+  const str = template[segment]
+  const before = str[offset - 1]
+  const attached = offset === 0 ? segment > 0 : isIdentifierPart(before) || ').]'.includes(before)
+  if (!attached) return false
+
+  const after = str.slice(offset + 1).trimStart()[0]
+  if (after === undefined) return segment === template.length - 1
+  return !(isIdentifierPart(after) || '.([!'.includes(after))
+}
+
 /**
  * Tokenizes a template string array into tokens
- * @param {TemplateStringsArray} template
+ * @param {ReadonlyArray<string>} template
  * @returns {Token[]}
  */
 export function tokenize(template) {
@@ -34,6 +452,13 @@ export function tokenize(template) {
   for (let i = 0; i < template.length; i++) {
     const str = template[i]
 
+    /**
+     * @param {number} offset - Start of the token within the segment
+     * @param {number} length - Length of the token source
+     * @returns {TokenPosition}
+     */
+    const at = (offset, length) => ({ segment: i, offset, length })
+
     // Tokenize the string part
     for (let j = 0; j < str.length; j++) {
       const char = str[j]
@@ -41,367 +466,4036 @@ export function tokenize(template) {
       if (char === ' ' || char === '\t' || char === '\n') {
         continue // Skip whitespace
       } else if (char === '(') {
-        tokens.push({ type: 'LPAREN' })
+        tokens.push({ type: 'LPAREN', ...at(j, 1) })
       } else if (char === ')') {
-        tokens.push({ type: 'RPAREN' })
+        tokens.push({ type: 'RPAREN', ...at(j, 1) })
+      } else if (char === '[') {
+        tokens.push({ type: 'LBRACKET', ...at(j, 1) })
+      } else if (char === ']') {
+        tokens.push({ type: 'RBRACKET', ...at(j, 1) })
       } else if (char === ',') {
-        tokens.push({ type: 'COMMA' })
+        tokens.push({ type: 'COMMA', ...at(j, 1) })
+      } else if (char === '.' && !isDigit(str[j + 1])) {
+        tokens.push({ type: 'DOT', ...at(j, 1) })
       } else if (char === '*' && str[j + 1] === '*') {
-        tokens.push({ type: 'OPERATOR', value: '**' })
+        tokens.push({ type: 'OPERATOR', value: '**', ...at(j, 2) })
         j++ // Skip next char
       } else if (char === '=' && str[j + 1] === '=') {
-        tokens.push({ type: 'OPERATOR', value: '==' })
+        tokens.push({ type: 'OPERATOR', value: '==', ...at(j, 2) })
         j++ // Skip next char
       } else if (char === '!' && str[j + 1] === '=') {
-        tokens.push({ type: 'OPERATOR', value: '!=' })
+        tokens.push({ type: 'OPERATOR', value: '!=', ...at(j, 2) })
         j++ // Skip next char
+      } else if (char === '&' && str[j + 1] === '&') {
+        tokens.push({ type: 'OPERATOR', value: '&&', ...at(j, 2) })
+        j++ // Skip next char
+      } else if (char === '|' && str[j + 1] === '|') {
+        tokens.push({ type: 'OPERATOR', value: '||', ...at(j, 2) })
+        j++ // Skip next char
+      } else if (char === '!') {
+        tokens.push({ type: 'NOT', ...at(j, 1) })
+      } else if (char === '?') {
+        tokens.push({ type: 'QUESTION', ...at(j, 1) })
+      } else if (char === ':') {
+        tokens.push({ type: 'COLON', ...at(j, 1) })
       } else if (char === '<' && str[j + 1] === '=') {
-        tokens.push({ type: 'OPERATOR', value: '<=' })
+        tokens.push({ type: 'OPERATOR', value: '<=', ...at(j, 2) })
         j++ // Skip next char
       } else if (char === '>' && str[j + 1] === '=') {
-        tokens.push({ type: 'OPERATOR', value: '>=' })
+        tokens.push({ type: 'OPERATOR', value: '>=', ...at(j, 2) })
         j++ // Skip next char
+      } else if (char === '=') {
+        tokens.push({ type: 'ASSIGN', ...at(j, 1) })
+      } else if (char === ';') {
+        tokens.push({ type: 'SEMICOLON', ...at(j, 1) })
       } else if (char === '<') {
-        tokens.push({ type: 'OPERATOR', value: '<' })
+        tokens.push({ type: 'OPERATOR', value: '<', ...at(j, 1) })
       } else if (char === '>') {
-        tokens.push({ type: 'OPERATOR', value: '>' })
-      } else if (char === '+' || char === '-' || char === '*' || char === '/') {
-        tokens.push({ type: 'OPERATOR', value: char })
-      } else if (char >= '0' && char <= '9') {
-        let num = char
-        while (
-          j + 1 < str.length &&
-          ((str[j + 1] >= '0' && str[j + 1] <= '9') || str[j + 1] === '.')
-        ) {
-          j++
-          num += str[j]
-        }
-        tokens.push({ type: 'NUMBER', value: num })
-      } else if (char >= 'a' && char <= 'z') {
+        tokens.push({ type: 'OPERATOR', value: '>', ...at(j, 1) })
+      } else if (char === '%' && isPercent(template, i, j)) {
+        tokens.push({ type: 'PERCENT', ...at(j, 1) })
+      } else if (char === '+' || char === '-' || char === '*' || char === '/' || char === '%') {
+        tokens.push({ type: 'OPERATOR', value: char, ...at(j, 1) })
+      } else if (isDigit(char) || char === '.') {
+        const { value, length } = numberLiteral(template, i, j)
+        tokens.push({ type: 'NUMBER', value, ...at(j, length) })
+        j += length - 1
+      } else if (isIdentifierStart(char)) {
+        const start = j
         let name = char
-        while (j + 1 < str.length && str[j + 1] >= 'a' && str[j + 1] <= 'z') {
+        while (j + 1 < str.length && isIdentifierPart(str[j + 1])) {
           j++
           name += str[j]
         }
-        tokens.push({ type: 'FUNCTION', value: name })
+        tokens.push({ type: 'IDENTIFIER', value: name, ...at(start, name.length) })
       } else {
-        throw new Error(`Unexpected character: ${char}`)
+        throw new DecimationSyntaxError(`Unexpected character: ${char}`, template, at(j, 1))
       }
     }
 
     // Add VALUE token for interpolated value (except after last string)
     if (i < template.length - 1) {
-      tokens.push({ type: 'VALUE', value: i })
+      tokens.push({ type: 'VALUE', value: i, ...at(str.length, PLACEHOLDER.length) })
     }
   }
 
-  tokens.push({ type: 'EOF' })
+  const last = template.length - 1
+  tokens.push({ type: 'EOF', segment: last, offset: template[last].length, length: 1 })
   return tokens
 }
 
 /**
- * Pre-process values: convert to Decimal, keep arrays as-is
+ * Fills in the defaults of input options, once per create() rather than per value
+ * @param {InputOptions} [input]
+ * @returns {InputPolicy}
+ */
+function inputPolicy({
+  strict = false,
+  maxDigits = 15,
+  bigint = true,
+  unsafeNumbers = false,
+  coerce,
+} = {}) {
+  return { strict, maxDigits, bigint, unsafeNumbers, coerce }
+}
+
+const DEFAULT_INPUT = inputPolicy()
+
+/**
+ * Pre-process values: resolve property paths, check and convert to Decimal, keep arrays as-is
  * @param {Array<DecimalValue | DecimalInstance | DecimalInstance[]>} values - Raw values from template
- * @param {DecimalConstructor} DecimalConstructor - Decimal constructor
+ * @param {DecimalAdapter} adapter - Numeric library operations
+ * @param {Array<string[] | undefined>} [paths] - Property paths by value index
+ * @param {{ input?: InputPolicy, template?: ReadonlyArray<string> }} [options] - Accepted
+ * values, and the template to point at the slot of a rejected one
  * @returns {Array<DecimalInstance | DecimalInstance[]>} Processed values
  */
-export function preprocessValues(values, DecimalConstructor) {
-  return values.map(val =>
-    val instanceof DecimalConstructor ? val : Array.isArray(val) ? val : new DecimalConstructor(val)
-  )
+export function preprocessValues(values, adapter, paths, { input = DEFAULT_INPUT, template } = {}) {
+  return values.map((raw, i) => {
+    const path = paths?.[i]
+    const value = path ? resolvePath(raw, path, `\${${i}}`) : raw
+    // Described only for errors, keeping evaluation free of string building
+    const locate = () => ({
+      location: `\${${i}}${path ? `.${path.join('.')}` : ''}`,
+      template,
+      index: i,
+    })
+    return castValue(value, adapter, input, locate)
+  })
 }
 
 /**
- * AST parser that builds an abstract syntax tree
+ * Pre-process scope variables referenced by an expression, keyed by name and property path
+ * @param {Record<string, any>} scope - Raw variable values
+ * @param {VariableSlot[]} slots - Referenced variables
+ * @param {DecimalAdapter} adapter - Numeric library operations
+ * @param {InputPolicy} [input] - Accepted values
+ * @returns {Map<string, DecimalInstance | DecimalInstance[]>} Processed values
  */
-class ASTParser {
-  /**
-   * @param {Token[]} tokens
-   * @param {string} mode
-   */
-  constructor(tokens, mode) {
-    this.tokens = tokens
-    this.pos = 0
-    this.mode = mode // 'math' or 'is'
-    this.hasTopLevelComparison = false
+export function preprocessVariables(scope, slots, adapter, input = DEFAULT_INPUT) {
+  const variables = new Map()
+  for (const { key, name, path } of slots) {
+    if (!Object.prototype.hasOwnProperty.call(scope, name)) {
+      throw new Error(`Unknown variable: ${name}`)
+    }
+    const raw = scope[name]
+    const value = path ? resolvePath(raw, path, name) : raw
+    variables.set(
+      key,
+      castValue(value, adapter, input, () => ({ location: key }))
+    )
   }
+  return variables
+}
 
-  current() {
-    return this.tokens[this.pos]
+/**
+ * Checks whether a value is an instance of exactly this constructor. Clones of decimal.js share a
+ * prototype, but arithmetic uses the precision of the instance's own constructor.
+ * @param {any} val
+ * @param {any} DecimalConstructor - decimal.js-compatible, big.js or bignumber.js constructor
+ * @returns {val is DecimalInstance}
+ */
+function isInstance(val, DecimalConstructor) {
+  return val instanceof DecimalConstructor && val.constructor === DecimalConstructor
+}
+
+/**
+ * Checks and converts a value to Decimal, also each array element
+ * @param {any} val
+ * @param {DecimalAdapter} adapter
+ * @param {InputPolicy} input - Accepted values
+ * @param {() => InputSlot} locate - Where the value comes from, for error messages
+ * @returns {DecimalInstance | DecimalInstance[]}
+ */
+function castValue(val, adapter, input, locate) {
+  // Library values pass every check, bigints unless rejected: skip them in the common case
+  if (!input.coerce && input.bigint && adapter.isInstance(val)) return val
+  return convertValue(checkInput(val, adapter, input, locate), adapter, locate, false)
+}
+
+/**
+ * Converts a checked value to Decimal, also each array element. Dates in arrays are kept for
+ * xnpv() and xirr().
+ * @param {any} value
+ * @param {DecimalAdapter} adapter
+ * @param {() => InputSlot} locate - Where the value comes from, for error messages
+ * @param {boolean} element - Whether the value is an array element
+ * @returns {any}
+ */
+function convertValue(value, adapter, locate, element) {
+  if (Array.isArray(value)) {
+    return value.map((x, i) => convertValue(x, adapter, elementSlot(locate, i), true))
+  }
+  if (element && value instanceof Date) return value
+  try {
+    return adapter.from(value)
+  } catch (error) {
+    const { message } = /** @type {Error} */ (error)
+    const slot = locate()
+    throw new DecimationInputError(`${slot.location} can't be converted: ${message}`, slot, error)
   }
+}
 
-  advance() {
-    this.pos++
+/**
+ * Locates an array element, e.g. ${0}[2]
+ * @param {() => InputSlot} locate - Where the array comes from
+ * @param {number} i - Element index
+ * @returns {() => InputSlot}
+ */
+function elementSlot(locate, i) {
+  return () => {
+    const slot = locate()
+    return { ...slot, location: `${slot.location}[${i}]` }
   }
+}
 
-  /**
-   * Parse primary expression and return AST node
-   * @returns {ASTNode}
-   */
-  parsePrimary() {
-    const token = this.current()
+// Significant digits of JS numbers: the leading digits of the shortest string that round-trips
+const NUMBER_DIGITS = /^-?0*\.?0*(\d*?)\.?(\d*?)0*(?:e[+-]\d+)?$/
 
-    if (token.type === 'VALUE') {
-      const index = token.value
-      this.advance()
-      return { type: 'value', index }
-    } else if (token.type === 'NUMBER') {
-      const value = token.value
-      this.advance()
-      return { type: 'number', value }
-    } else if (token.type === 'FUNCTION') {
-      const funcName = token.value
-      this.advance() // consume function name
+/**
+ * Applies input.coerce and checks a value, also each array element. Rejects JS numbers that
+ * can't convert exactly: NaN, Infinity, integers beyond Number.MAX_SAFE_INTEGER and others with
+ * more than input.maxDigits significant digits, like 0.1 + 0.2.
+ * @param {any} val
+ * @param {DecimalAdapter} adapter
+ * @param {InputPolicy} input - Accepted values
+ * @param {() => InputSlot} locate - Where the value comes from, for error messages
+ * @returns {any} Coerced value
+ */
+function checkInput(val, adapter, input, locate) {
+  const { strict, maxDigits, bigint, unsafeNumbers, coerce } = input
+  const value = coerce && !Array.isArray(val) ? coerce(val, locate().location) : val
+  /** @param {string} message */
+  const reject = message => {
+    const slot = locate()
+    return new DecimationInputError(`${slot.location} ${message}`, slot)
+  }
 
-      if (this.current().type !== 'LPAREN') {
-        throw new Error(`Expected '(' after function name '${funcName}'`)
-      }
-      this.advance() // consume '('
+  if (Array.isArray(value)) {
+    return value.map((element, i) => checkInput(element, adapter, input, elementSlot(locate, i)))
+  }
+  if (value === undefined || value === null || typeof value === 'boolean') {
+    throw reject(`is ${value}, expected a number, string, bigint or ${adapter.name} value`)
+  }
+  if (typeof value === 'bigint' && !bigint) {
+    throw reject(`is a bigint, not accepted with input.bigint set to false`)
+  }
+  if (typeof value !== 'number') return value
 
-      // Parse function arguments
-      const args = []
-      while (this.current().type !== 'RPAREN') {
-        args.push(this.parseExpression(0, false))
+  if (strict) {
+    throw reject(`is the number ${value}, strict input requires a string or ${adapter.name} value`)
+  }
+  if (unsafeNumbers) return value
+  if (!Number.isFinite(value)) {
+    throw reject(`is ${value}, expected a finite number`)
+  }
+  if (Number.isInteger(value)) {
+    if (Number.isSafeInteger(value)) return value
+    throw reject(
+      `is ${value}, beyond Number.MAX_SAFE_INTEGER it may have lost precision: pass a string or bigint`
+    )
+  }
+  const [, whole, fraction] = /** @type {RegExpExecArray} */ (NUMBER_DIGITS.exec(String(value)))
+  if (whole.length + fraction.length > maxDigits) {
+    throw reject(
+      `is ${value}, more than ${maxDigits} significant digits suggest floating-point error: round it or pass a string`
+    )
+  }
+  return value
+}
 
-        if (this.current().type === 'COMMA') {
-          this.advance() // consume ','
-        } else if (this.current().type !== 'RPAREN') {
-          throw new Error('Expected comma or closing parenthesis in function call')
-        }
-      }
+/**
+ * Reads a property path from a value, plucking it from each element of arrays
+ * @param {any} value
+ * @param {string[]} path - Property names
+ * @param {string} location - Path read so far, for error messages
+ * @returns {any}
+ */
+function resolvePath(value, path, location) {
+  if (path.length === 0) return value
+  if (Array.isArray(value)) {
+    return value.map((element, i) => resolvePath(element, path, `${location}[${i}]`))
+  }
 
-      this.advance() // consume ')'
+  const [key, ...rest] = path
+  const next = value == null ? undefined : value[key]
+  if (next === undefined) {
+    throw new Error(
+      value == null
+        ? `Cannot read property '${key}' of ${value} at ${location}`
+        : `Missing property '${key}' at ${location}.${key}`
+    )
+  }
+  return resolvePath(next, rest, `${location}.${key}`)
+}
 
-      // Validate function at parse time
-      const validFunctions = ['abs', 'ceil', 'floor', 'round', 'clamp', 'sum']
-      if (!validFunctions.includes(funcName)) {
-        throw new Error(`Unknown function: ${funcName}`)
-      }
+/**
+ * Returns the key of a variable node, its name and property path
+ * @param {{ name: string, path?: string[] }} node
+ * @returns {string}
+ */
+function variableKey({ name, path }) {
+  return path ? [name, ...path].join('.') : name
+}
 
-      // Validate argument counts
-      if (funcName === 'clamp' && args.length !== 3) {
-        throw new Error('clamp() requires 3 arguments: clamp(value, min, max)')
-      } else if (funcName !== 'clamp' && args.length !== 1) {
-        throw new Error(`${funcName}() requires 1 argument`)
-      }
+/**
+ * Collects the distinct variables referenced by an AST
+ * @param {ASTNode} ast
+ * @returns {VariableSlot[]}
+ */
+function variableSlots(ast) {
+  /** @type {Map<string, VariableSlot>} */
+  const slots = new Map()
 
-      return { type: 'function', name: funcName, args }
-    } else if (token.type === 'OPERATOR' && (token.value === '+' || token.value === '-')) {
-      // Handle unary + and -
-      const op = token.value
-      this.advance() // consume operator
-      const operand = this.parsePrimary()
-      return { type: 'unary', op, operand }
-    } else if (token.type === 'LPAREN') {
-      this.advance() // consume '('
-      const expr = this.parseExpression(0, false)
-      if (this.current().type !== 'RPAREN') {
-        throw new Error('Expected closing parenthesis')
-      }
-      this.advance() // consume ')'
-      return expr
+  /**
+   * @param {ASTNode} node
+   * @param {Set<string>} bound - Names bound by enclosing let
+   */
+  const collect = (node, bound) => {
+    if (node.type === 'variable' && !bound.has(node.name)) {
+      const key = variableKey(node)
+      if (!slots.has(key)) slots.set(key, { key, name: node.name, path: node.path })
+    } else if (node.type === 'let') {
+      collect(node.value, bound)
+      collect(node.body, new Set(bound).add(node.name))
     } else {
-      throw new Error(`Unexpected token: ${token.type}`)
+      children(node).forEach(child => collect(child, bound))
     }
   }
 
-  /**
-   * Parse expression with precedence climbing and return AST node
-   * https://eli.thegreenplace.net/2012/08/02/parsing-expressions-by-precedence-climbing
-   * @param {number} minPrec - Minimum precedence level
-   * @param {boolean} isTopLevel - Whether this is the top-level expression
-   * @returns {ASTNode}
-   */
-  parseExpression(minPrec, isTopLevel = true) {
-    let left = this.parsePrimary()
-
-    while (true) {
-      const token = this.current()
-      if (token.type !== 'OPERATOR') break
-
-      const op = token.value
-      const prec = PRECEDENCE[op]
+  collect(ast, new Set())
+  return [...slots.values()]
+}
 
-      if (prec < minPrec) {
-        break
-      }
+/**
+ * Calls a function for an AST node and all its descendants
+ * @param {ASTNode} node
+ * @param {(node: ASTNode) => void} visit
+ */
+function walk(node, visit) {
+  visit(node)
+  children(node).forEach(child => walk(child, visit))
+}
 
-      // Check if comparison operator is used in math mode
-      if (COMPARISON_OPS.has(op) && this.mode === 'math') {
-        throw new Error(`Comparison operator '${op}' can only be used in 'is' template, not 'math'`)
-      }
+/**
+ * Returns the child nodes of an AST node
+ * @param {ASTNode} node
+ * @returns {ASTNode[]}
+ */
+function children(node) {
+  if (node.type === 'unary' || node.type === 'unit') return [node.operand]
+  if (node.type === 'binary' || node.type === 'logical') return [node.left, node.right]
+  if (node.type === 'conditional') return [node.test, node.consequent, node.alternate]
+  if (node.type === 'function') return node.args
+  if (node.type === 'array') return node.elements
+  if (node.type === 'let') return [node.value, node.body]
+  return []
+}
 
-      // In 'is' mode, enforce comparison restrictions
-      if (COMPARISON_OPS.has(op) && this.mode === 'is') {
-        if (!isTopLevel) {
-          throw new Error(
-            `Comparison operator '${op}' can only be used at the top level of 'is' template, not in nested expressions`
-          )
-        }
-        if (this.hasTopLevelComparison) {
-          throw new Error(
-            `Chained comparisons are not supported. Use multiple 'is' templates: is\`\${a} < \${b}\` && is\`\${b} < \${c}\``
-          )
-        }
-        this.hasTopLevelComparison = true
-      }
+/**
+ * Collects property paths of value nodes
+ * @param {ASTNode} ast
+ * @returns {Array<string[] | undefined> | undefined} Paths by value index, undefined if none
+ */
+function valuePaths(ast) {
+  /** @type {Array<string[] | undefined> | undefined} */
+  let paths
+  walk(ast, node => {
+    if (node.type === 'value' && node.path) {
+      paths ??= []
+      paths[node.index] = node.path
+    }
+  })
+  return paths
+}
 
-      this.advance() // consume operator
+// Binding strength of nodes printed without parentheses: unary +/- and suffixes bind tightest
+const UNARY_PRECEDENCE = 7
+const PRIMARY_PRECEDENCE = 8
 
-      const nextMinPrec = RIGHT_ASSOC.has(op) ? prec : prec + 1
-      const right = this.parseExpression(nextMinPrec, isTopLevel)
+/**
+ * Returns how tightly a node binds, to decide where print() needs parentheses
+ * @param {ASTNode} node
+ * @returns {number}
+ */
+function precedenceOf(node) {
+  if (node.type === 'let') return -1
+  if (node.type === 'conditional') return 0
+  if (node.type === 'binary' || node.type === 'logical') return PRECEDENCE[node.op]
+  // ! takes a whole comparison as operand, e.g. !${a} > ${b}
+  if (node.type === 'unary') return node.op === '!' ? PRECEDENCE['<'] : UNARY_PRECEDENCE
+  return PRIMARY_PRECEDENCE
+}
 
-      left = { type: 'binary', op, left, right }
+/**
+ * Renders a syntax tree as a canonical expression, with parentheses only where needed.
+ * Interpolated values print as ${index}.
+ * @param {ASTNode} node
+ * @returns {string}
+ */
+export function print(node) {
+  /**
+   * @param {ASTNode} child
+   * @param {boolean} parenthesize
+   */
+  const operand = (child, parenthesize) => (parenthesize ? `(${print(child)})` : print(child))
+
+  switch (node.type) {
+    case 'value':
+      return `\${${node.index}}${node.path ? `.${node.path.join('.')}` : ''}`
+    case 'variable':
+      return node.path ? `${node.name}.${node.path.join('.')}` : node.name
+    case 'number':
+      return node.value
+    case 'unary': {
+      const min = node.op === '!' ? PRECEDENCE['<'] : UNARY_PRECEDENCE
+      // -(-x) rather than --x, also for negative numbers in explain()
+      const signed = node.op !== '!' && /^[-+]/.test(print(node.operand))
+      // !(a > b) rather than !a > b, which reads as (!a) > b
+      const negated = node.op === '!' && node.operand.type === 'binary'
+      return `${node.op}${operand(node.operand, signed || negated || precedenceOf(node.operand) < min)}`
+    }
+    case 'binary':
+    case 'logical': {
+      const prec = PRECEDENCE[node.op]
+      const right = RIGHT_ASSOC.has(node.op)
+      const left = precedenceOf(node.left)
+      const rightPrec = precedenceOf(node.right)
+      return `${operand(node.left, right ? left <= prec : left < prec)} ${node.op} ${operand(
+        node.right,
+        right ? rightPrec < prec : rightPrec <= prec
+      )}`
     }
+    case 'conditional':
+      return `${operand(node.test, precedenceOf(node.test) <= 0)} ? ${operand(
+        node.consequent,
+        precedenceOf(node.consequent) < 0
+      )} : ${operand(node.alternate, precedenceOf(node.alternate) < 0)}`
+    case 'let':
+      return `let ${node.name} = ${operand(node.value, precedenceOf(node.value) < 0)}; ${print(
+        node.body
+      )}`
+    case 'function':
+      return `${node.name}(${node.args.map(arg => operand(arg, precedenceOf(arg) < 0)).join(', ')})`
+    case 'array':
+      return `[${node.elements.map(element => operand(element, precedenceOf(element) < 0)).join(', ')}]`
+    case 'unit': {
+      // Units follow values, names, calls and parentheses
+      const bare = ['value', 'number', 'variable', 'function'].includes(node.operand.type)
+      const value = operand(node.operand, !bare)
+      return node.unit === '%' ? `${value}%` : `${value} ${node.unit}`
+    }
+  }
+}
 
-    return left
+/**
+ * Lists what an expression uses: interpolated value indexes, free variable names and functions
+ * @param {ASTNode} ast
+ * @returns {References}
+ */
+export function references(ast) {
+  /** @type {Set<number>} */
+  const values = new Set()
+  /** @type {Set<string>} */
+  const functions = new Set()
+  walk(ast, node => {
+    if (node.type === 'value') values.add(node.index)
+    else if (node.type === 'function') functions.add(node.name)
+  })
+  return {
+    values: [...values].sort((a, b) => a - b),
+    variables: [...new Set(variableSlots(ast).map(slot => slot.name))],
+    functions: [...functions],
   }
 }
 
+// SQL equivalents of template operators and functions, for toSQL()
+/** @type {Partial<Record<Operator, string>>} */
+const SQL_OPERATORS = { '==': '=', '!=': '<>', '&&': 'AND', '||': 'OR' }
+/** @type {Record<string, string>} */
+const SQL_FUNCTIONS = {
+  abs: 'ABS',
+  ceil: 'CEIL',
+  floor: 'FLOOR',
+  round: 'ROUND',
+  min: 'LEAST',
+  max: 'GREATEST',
+  mod: 'MOD',
+  sign: 'SIGN',
+}
+
 /**
- * Interprets an AST node
- * @param {ASTNode} node - AST node
- * @param {Array<DecimalInstance | DecimalInstance[]>} values - Pre-processed values array
- * @param {DecimalConstructor} Decimal - Decimal constructor
- * @returns {DecimalInstance | DecimalInstance[] | boolean}
+ * Translates a syntax tree into an SQL expression with interpolated values as parameters.
+ * Operands are cast to NUMERIC, so integer columns divide like decimals.
+ * @param {ASTNode} ast
+ * @param {Array<DecimalValue | DecimalInstance | DecimalInstance[]>} values - Raw values
+ * @param {DecimalAdapter} adapter - Converts and checks values
+ * @param {ReadonlyArray<string>} [template] - Template strings, to point at rejected values
+ * @returns {SQLFragment} Strings around the parameters, e.g. for Prisma.sql
  */
-function interpret(node, values, Decimal) {
-  if (node.type === 'value') {
-    return values[node.index]
-  } else if (node.type === 'number') {
-    return new Decimal(node.value)
-  } else if (node.type === 'unary') {
-    const operand = interpret(node.operand, values, Decimal)
-    assert(operand instanceof Decimal, 'Unary operation operand must be a Decimal instance')
-    switch (node.op) {
-      case '-':
-        return operand.neg()
-      case '+':
-        return operand
+export function toSQL(ast, values, adapter, template) {
+  const processed = preprocessValues(values, adapter, valuePaths(ast), { template })
+  /** @type {string[]} */
+  const strings = ['']
+  /** @type {string[]} */
+  const params = []
+  /** @param {string} text */
+  const emit = text => {
+    strings[strings.length - 1] += text
+  }
+  /**
+   * @param {ASTNode} child
+   * @param {string} type
+   */
+  const cast = (child, type) => {
+    emit('CAST(')
+    translate(child)
+    emit(` AS ${type})`)
+  }
+  /**
+   * @param {ASTNode} child
+   * @param {boolean} parenthesize
+   */
+  const operand = (child, parenthesize) => {
+    if (parenthesize) emit('(')
+    translate(child)
+    if (parenthesize) emit(')')
+  }
+  /** @param {ASTNode[]} args */
+  const list = args =>
+    args.forEach((arg, i) => {
+      if (i > 0) emit(', ')
+      translate(arg)
+    })
+
+  /** @param {ASTNode} node */
+  const translate = node => {
+    switch (node.type) {
+      case 'value': {
+        const value = processed[node.index]
+        assert(
+          !Array.isArray(value),
+          `SQL parameters can't be arrays, found one at \${${node.index}}`
+        )
+        emit('CAST(')
+        params.push(String(value))
+        strings.push(' AS NUMERIC)')
+        return
+      }
+      case 'variable':
+        // Names and paths only contain identifier characters
+        return emit(
+          `CAST(${[node.name, ...(node.path ?? [])].map(name => `"${name}"`).join('.')} AS NUMERIC)`
+        )
+      case 'number':
+        return emit(`CAST(${node.value} AS NUMERIC)`)
+      case 'unary':
+        emit(node.op === '!' ? 'NOT ' : node.op)
+        // -(-x) rather than --x, which starts a comment
+        return operand(
+          node.operand,
+          node.operand.type === 'unary' || precedenceOf(node.operand) < precedenceOf(node)
+        )
+      case 'binary':
+      case 'logical': {
+        if (node.op === '**') {
+          emit('POWER(')
+          list([node.left, node.right])
+          return emit(')')
+        }
+        const prec = PRECEDENCE[node.op]
+        operand(node.left, precedenceOf(node.left) < prec)
+        emit(` ${SQL_OPERATORS[node.op] ?? node.op} `)
+        return operand(node.right, precedenceOf(node.right) <= prec)
+      }
+      case 'conditional':
+        emit('CASE WHEN ')
+        translate(node.test)
+        emit(' THEN ')
+        translate(node.consequent)
+        emit(' ELSE ')
+        translate(node.alternate)
+        return emit(' END')
+      case 'unit':
+        assert(node.unit === '%', `SQL has no units, found ${node.unit}`)
+        // Parenthesized as a whole, a / b% is a / (b / 100) rather than a / b / 100
+        emit('(')
+        operand(node.operand, precedenceOf(node.operand) < PRECEDENCE['/'])
+        return emit(' / CAST(100 AS NUMERIC))')
+      case 'function': {
+        const { name, args } = node
+        if (name === 'clamp') {
+          emit('GREATEST(LEAST(')
+          list([args[0], args[2]])
+          emit('), ')
+          translate(args[1])
+          return emit(')')
+        }
+        const supported = Object.keys(SQL_FUNCTIONS).concat('clamp').join('(), ')
+        assert(name in SQL_FUNCTIONS, `SQL has no ${name}(), supported: ${supported}()`)
+        assert(
+          (name !== 'ceil' && name !== 'floor') || args.length === 1,
+          `SQL ${SQL_FUNCTIONS[name]} has no decimal places, use round() or ${name}(value)`
+        )
+        assert(name !== 'round' || args.length < 3, `SQL ROUND has no rounding mode argument`)
+        emit(`${SQL_FUNCTIONS[name]}(`)
+        if (name === 'round' && args.length === 2) {
+          translate(args[0])
+          emit(', ')
+          // Decimal places are an integer in SQL
+          if (args[1].type === 'number') emit(args[1].value)
+          else cast(args[1], 'INTEGER')
+        } else {
+          list(args)
+        }
+        return emit(')')
+      }
+      default:
+        throw new Error(`SQL has no ${node.type === 'array' ? 'arrays' : node.type}`)
     }
-  } else if (node.type === 'binary') {
-    const left = interpret(node.left, values, Decimal)
-    const right = interpret(node.right, values, Decimal)
+  }
+
+  translate(inlineLets(ast))
+  return { strings, values: params }
+}
+
+// Schema version of Formula JSON, increased when stored formulas need migrating
+const FORMULA_VERSION = 1
+
+// Number literals of syntax trees, decimal after parsing and folding
+const DECIMAL_LITERAL = /^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i
+
+// Unit expressions of syntax trees, unit names joined by '*' and '/', e.g. km/h
+const UNIT_EXPRESSION = /^[A-Za-z_][A-Za-z0-9_]*(?:[*/][A-Za-z_][A-Za-z0-9_]*)*$/
+
+/**
+ * Checks that data, e.g. from JSON, is a syntax tree the given functions can evaluate
+ * @param {any} node
+ * @param {Map<string, ResolvedFunction>} functions
+ * @param {number} valueCount - Number of interpolated values
+ * @param {UnitRegistry | null} units - Units of the instance, null without units
+ * @returns {asserts node is ASTNode}
+ */
+function validateAST(node, functions, valueCount, units) {
+  assert(
+    node !== null && typeof node === 'object' && !Array.isArray(node),
+    `Invalid formula: expected a syntax tree node, found ${JSON.stringify(node)}`
+  )
+  /** @param {any} name */
+  const isName = name => typeof name === 'string' && FUNCTION_NAME.test(name)
+  /** @param {any} path */
+  const isPath = path =>
+    path === undefined || (Array.isArray(path) && path.length > 0 && path.every(isName))
+
+  switch (node.type) {
+    case 'value':
+      assert(
+        Number.isInteger(node.index) && node.index >= 0 && node.index < valueCount,
+        `Invalid formula: \${${node.index}} has no value`
+      )
+      assert(node.path === undefined, `Invalid formula: \${${node.index}} has a path`)
+      break
+    case 'variable':
+    case 'let':
+      assert(isName(node.name) && isPath(node.path), `Invalid formula: invalid name ${node.name}`)
+      break
+    case 'number':
+      assert(
+        typeof node.value === 'string' && DECIMAL_LITERAL.test(node.value),
+        `Invalid formula: invalid number ${JSON.stringify(node.value)}`
+      )
+      break
+    case 'unary':
+    case 'binary':
+    case 'logical': {
+      const ops =
+        node.type === 'unary'
+          ? ['+', '-', '!']
+          : node.type === 'logical'
+            ? ['&&', '||']
+            : Object.keys(PRECEDENCE).filter(op => op !== '&&' && op !== '||')
+      assert(ops.includes(node.op), `Invalid formula: invalid ${node.type} operator ${node.op}`)
+      break
+    }
+    case 'function': {
+      const func = functions.get(node.name)
+      assert(func, `Invalid formula: unknown function ${node.name}()`)
+      assert(
+        Array.isArray(node.args) && node.args.length >= func.min && node.args.length <= func.max,
+        `Invalid formula: ${describeArity(func)}`
+      )
+      break
+    }
+    case 'array':
+      assert(Array.isArray(node.elements), 'Invalid formula: array without elements')
+      break
+    case 'unit':
+      assert(
+        node.unit === '%' ||
+          (typeof node.unit === 'string' &&
+            UNIT_EXPRESSION.test(node.unit) &&
+            units !== null &&
+            node.unit.split(/[*/]/).every(units.has)),
+        `Invalid formula: unknown unit ${JSON.stringify(node.unit)}`
+      )
+      break
+    case 'conditional':
+      break
+    default:
+      throw new Error(`Invalid formula: unknown node type ${JSON.stringify(node.type)}`)
+  }
+
+  children(node).forEach(child => validateAST(child, functions, valueCount, units))
+
+  // Operand kinds the parser enforces, e.g. no comparison in arithmetic like 1 + (1 < 2)
+  /**
+   * @param {ASTNode} child
+   * @param {'number' | 'boolean'} kind
+   * @param {string} usage
+   */
+  const expect = (child, kind, usage) =>
     assert(
-      left instanceof Decimal && right instanceof Decimal,
-      'Binary operation operands must be Decimal instances'
+      kindOf(child) === kind,
+      `Invalid formula: ${usage} requires ${kind === 'number' ? 'numeric' : 'comparison'} operands`
     )
+  const checked = /** @type {ASTNode} */ (node)
+  switch (checked.type) {
+    case 'binary':
+      expect(checked.left, 'number', `operator '${checked.op}'`)
+      expect(checked.right, 'number', `operator '${checked.op}'`)
+      break
+    case 'logical':
+      expect(checked.left, 'boolean', `operator '${checked.op}'`)
+      expect(checked.right, 'boolean', `operator '${checked.op}'`)
+      break
+    case 'unary':
+      expect(checked.operand, checked.op === '!' ? 'boolean' : 'number', `operator '${checked.op}'`)
+      break
+    case 'conditional':
+      expect(checked.test, 'boolean', `condition of '?'`)
+      assert(
+        kindOf(checked.consequent) === kindOf(checked.alternate),
+        'Invalid formula: conditional branches must both be numbers or both be comparisons'
+      )
+      break
+    case 'let':
+      expect(checked.value, 'number', `let ${checked.name}`)
+      break
+    case 'function':
+      checked.args.forEach(arg => expect(arg, 'number', `${checked.name}()`))
+      break
+    case 'array':
+      checked.elements.forEach(element => expect(element, 'number', 'array'))
+      break
+    case 'unit':
+      expect(checked.operand, 'number', `unit ${checked.unit}`)
+      break
+  }
+}
 
-    switch (node.op) {
-      case '+':
-        return left.add(right)
-      case '-':
-        return left.sub(right)
-      case '*':
-        return left.mul(right)
-      case '/':
-        return left.div(right)
-      case '**':
-        return left.pow(right)
-      case '<':
-        return left.lt(right)
-      case '<=':
-        return left.lte(right)
-      case '==':
-        return left.eq(right)
-      case '>':
-        return left.gt(right)
-      case '>=':
-        return left.gte(right)
-      case '!=':
-        return !left.eq(right)
+/**
+ * Serializes JSON data with sorted keys, so equal data gives equal strings
+ * @param {any} value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`
+  if (value === null || typeof value !== 'object') return JSON.stringify(value)
+  const keys = Object.keys(value).filter(key => value[key] !== undefined)
+  return `{${keys
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+    .join(',')}}`
+}
+
+/**
+ * Hashes a string with 64-bit FNV-1a, the same on every platform
+ * @param {string} text
+ * @returns {string} 16 hex digits
+ */
+function fnv1a(text) {
+  let hash = 0xcbf29ce484222325n
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash ^ BigInt(text.charCodeAt(i))) * 0x100000001b3n) & 0xffffffffffffffffn
+  }
+  return hash.toString(16).padStart(16, '0')
+}
+
+/**
+ * Returns a copy of an AST node with each child replaced
+ * @param {ASTNode} node
+ * @param {(child: ASTNode) => ASTNode} replace
+ * @returns {ASTNode}
+ */
+function mapChildren(node, replace) {
+  switch (node.type) {
+    case 'unary':
+    case 'unit':
+      return { ...node, operand: replace(node.operand) }
+    case 'binary':
+    case 'logical':
+      return { ...node, left: replace(node.left), right: replace(node.right) }
+    case 'conditional':
+      return {
+        ...node,
+        test: replace(node.test),
+        consequent: replace(node.consequent),
+        alternate: replace(node.alternate),
+      }
+    case 'function':
+      return { ...node, args: node.args.map(replace) }
+    case 'array':
+      return { ...node, elements: node.elements.map(replace) }
+    case 'let':
+      return { ...node, value: replace(node.value), body: replace(node.body) }
+    default:
+      return node
+  }
+}
+
+/** @param {string} value */
+const literal = value => /** @type {ASTNode} */ ({ type: 'number', value })
+/**
+ * @param {BinaryOperator} op
+ * @param {ASTNode} left
+ * @param {ASTNode} right
+ * @returns {ASTNode}
+ */
+const binary = (op, left, right) => ({ type: 'binary', op, left, right })
+/**
+ * @param {string} name
+ * @param {...ASTNode} args
+ * @returns {ASTNode}
+ */
+const call = (name, ...args) => ({ type: 'function', name, args })
+
+/**
+ * Evaluates literal-only arithmetic, e.g. 1 + 0.0825 to 1.0825, except division and powers. Also
+ * removes x + 0, x - 0, x * 1, x / 1, x ** 1 and --x, and reduces x * 0, x ** 0 and 1 ** x
+ * unless x may be an array. Functions aren't evaluated, custom ones may not be pure.
+ * @param {ASTNode} node
+ * @param {DecimalAdapter} adapter
+ * @param {Map<string, ResolvedFunction>} functions
+ * @returns {ASTNode}
+ */
+function simplifyAST(node, adapter, functions) {
+  const simplified = mapChildren(node, child => simplifyAST(child, adapter, functions))
+  /** @param {ASTNode} x */
+  const is = (x, /** @type {number} */ n) =>
+    x.type === 'number' && adapter.eq(adapter.from(x.value), adapter.from(n))
+
+  if (simplified.type === 'binary' && !COMPARISON_OPS.has(simplified.op)) {
+    const { op, left, right } = simplified
+    if (op === '+' && is(left, 0)) return right
+    if ((op === '+' || op === '-') && is(right, 0)) return left
+    if (op === '-' && is(left, 0)) {
+      return simplifyAST({ type: 'unary', op: '-', operand: right }, adapter, functions)
     }
-  } else if (node.type === 'function') {
-    const args = /** @type {DecimalInstance[]} */ (
-      node.args.map(arg => interpret(arg, values, Decimal))
+    if (op === '*' && is(left, 1)) return right
+    if (op === '*' && (is(left, -1) || is(right, -1))) {
+      const operand = is(left, -1) ? right : left
+      return simplifyAST({ type: 'unary', op: '-', operand }, adapter, functions)
+    }
+    if ((op === '*' || op === '/' || op === '**') && is(right, 1)) return left
+    if (
+      op === '*' &&
+      ((is(left, 0) && !mayBeArray(right)) || (is(right, 0) && !mayBeArray(left)))
+    ) {
+      return literal('0')
+    }
+    if (
+      op === '**' &&
+      ((is(right, 0) && !mayBeArray(left)) || (is(left, 1) && !mayBeArray(right)))
+    ) {
+      return literal('1')
+    }
+  }
+  if (simplified.type === 'unary' && simplified.op !== '!') {
+    const { operand } = simplified
+    if (simplified.op === '+') return operand
+    if (operand.type === 'unary' && operand.op === '-') return operand.operand
+  }
+
+  const foldable =
+    (simplified.type === 'binary' &&
+      !COMPARISON_OPS.has(simplified.op) &&
+      simplified.op !== '/' &&
+      simplified.op !== '**') ||
+    (simplified.type === 'unary' && simplified.op !== '!') ||
+    (simplified.type === 'unit' && simplified.unit === '%')
+  if (!foldable || !children(simplified).every(child => child.type === 'number')) {
+    return simplified
+  }
+  try {
+    const value = interpret(simplified, [], adapter, functions, new Map())
+    return literal(adapter.format ? adapter.format(value) : String(value))
+  } catch {
+    // Reported when evaluated, e.g. division by zero with bigint
+    return simplified
+  }
+}
+
+/**
+ * Replaces let-bound names with their values, so no name in the result is bound
+ * @param {ASTNode} node
+ * @param {Map<string, ASTNode>} [bound]
+ * @returns {ASTNode}
+ */
+function inlineLets(node, bound = new Map()) {
+  if (node.type === 'variable' && bound.has(node.name)) {
+    return /** @type {ASTNode} */ (bound.get(node.name))
+  }
+  if (node.type === 'let') {
+    const value = inlineLets(node.value, bound)
+    return inlineLets(node.body, new Map(bound).set(node.name, value))
+  }
+  return mapChildren(node, child => inlineLets(child, bound))
+}
+
+// Derivatives of built-in functions by the chain rule, from arguments and their derivatives
+/** @type {Record<string, DerivativeRule>} */
+const DERIVATIVES = {
+  abs: ([x], [dx]) => binary('*', call('sign', x), dx),
+  sqrt: ([x], [dx]) => binary('/', dx, binary('*', literal('2'), call('sqrt', x))),
+  exp: ([x], [dx]) => binary('*', call('exp', x), dx),
+  ln: ([x], [dx]) => binary('/', dx, x),
+  log([x, base], [dx, dbase]) {
+    if (!base) return binary('/', dx, binary('*', x, call('ln', literal('10'))))
+    // log(x, b) = ln(x) / ln(b)
+    const lnBase = call('ln', base)
+    return binary(
+      '/',
+      binary(
+        '-',
+        binary('*', binary('/', dx, x), lnBase),
+        binary('*', call('ln', x), binary('/', dbase, base))
+      ),
+      binary('**', lnBase, literal('2'))
     )
+  },
+  // Piecewise constant
+  ceil: () => literal('0'),
+  floor: () => literal('0'),
+  trunc: () => literal('0'),
+  round: () => literal('0'),
+  sign: () => literal('0'),
+  count: () => literal('0'),
+  // Linear
+  sum: (_, derivatives) => call('sum', ...derivatives),
+  avg: (_, derivatives) => call('avg', ...derivatives),
+  mean: (_, derivatives) => call('mean', ...derivatives),
+}
+
+/**
+ * Differentiates an expression without let bindings
+ * @param {ASTNode} node
+ * @param {(node: ASTNode) => boolean} isTarget - Matches the value or variable to differentiate by
+ * @param {Map<string, ResolvedFunction>} functions
+ * @returns {ASTNode}
+ */
+function differentiate(node, isTarget, functions) {
+  let depends = false
+  walk(node, child => {
+    depends ||= isTarget(child)
+  })
+  if (!depends) return literal('0')
+
+  /** @param {ASTNode} x */
+  const d = x => differentiate(x, isTarget, functions)
+  switch (node.type) {
+    case 'value':
+    case 'variable':
+      return literal('1')
+    case 'unary':
+      return node.op === '-'
+        ? { type: 'unary', op: '-', operand: d(node.operand) }
+        : d(node.operand)
+    case 'unit':
+      return { ...node, operand: d(node.operand) }
+    case 'array':
+      return { ...node, elements: node.elements.map(d) }
+    case 'conditional':
+      return { ...node, consequent: d(node.consequent), alternate: d(node.alternate) }
+    case 'function': {
+      const rule = functions.get(node.name)?.derivative ?? DERIVATIVES[node.name]
+      assert(rule, `Cannot differentiate ${node.name}(), its definition has no derivative`)
+      return rule(node.args, node.args.map(d))
+    }
+    case 'binary': {
+      const { op, left, right } = node
+      const [dleft, dright] = [d(left), d(right)]
+      // Terms of operands not depending on the target are left out
+      /** @param {ASTNode} x */
+      const isZero = x => x.type === 'number' && x.value === '0'
+      /**
+       * @param {ASTNode} x
+       * @param {ASTNode} y
+       */
+      const times = (x, y) => (isZero(x) || isZero(y) ? literal('0') : binary('*', x, y))
+      /**
+       * @param {'+' | '-'} op
+       * @param {ASTNode} x
+       * @param {ASTNode} y
+       * @returns {ASTNode}
+       */
+      const plus = (op, x, y) => {
+        if (isZero(y)) return x
+        if (isZero(x)) return op === '+' ? y : { type: 'unary', op: '-', operand: y }
+        return binary(op, x, y)
+      }
 
-    switch (node.name) {
-      case 'abs':
-        return args[0].abs()
-      case 'ceil':
-        return args[0].ceil()
-      case 'floor':
-        return args[0].floor()
-      case 'round':
-        return args[0].round()
-      case 'clamp':
-        return args[0].clamp(args[1], args[2])
-      case 'sum': {
-        const arr = args[0]
-        assert(Array.isArray(arr), 'sum() requires an array argument')
-        return Decimal.sum(0, ...arr)
+      if (op === '+' || op === '-') return plus(op, dleft, dright)
+      if (op === '*') return plus('+', times(dleft, right), times(left, dright))
+      if (op === '/') {
+        if (isZero(dright)) return binary('/', dleft, right)
+        const numerator = plus('-', times(dleft, right), times(left, dright))
+        return binary('/', numerator, binary('**', right, literal('2')))
+      }
+      // x % y = x - y * trunc(x / y)
+      if (op === '%')
+        return plus('-', dleft, times(dright, call('trunc', binary('/', left, right))))
+      if (op === '**' && isZero(dright)) {
+        const power = binary('**', left, binary('-', right, literal('1')))
+        return times(binary('*', right, power), dleft)
+      }
+      if (op === '**') {
+        // x ** y = exp(y * ln(x))
+        const rate = plus(
+          '+',
+          times(dright, call('ln', left)),
+          isZero(dleft) ? literal('0') : binary('/', times(right, dleft), left)
+        )
+        return binary('*', node, rate)
       }
-      default:
-        throw new Error(`Unknown function: ${node.name}`)
     }
   }
+  throw new Error(`Cannot differentiate ${print(node)}`)
+}
 
-  throw new Error(`Unknown node type`)
+/**
+ * Returns whether a node is a value, name or literal
+ * @param {ASTNode} node
+ */
+const isLeaf = node => node.type === 'value' || node.type === 'variable' || node.type === 'number'
+
+/**
+ * Builds the derivation of a traced evaluation. Each step shows a node with its operands'
+ * values, e.g. '1 + 0.0825', and nests the steps computing them. Values, names and literals
+ * appear only inline, and so do steps that change nothing, like -5.
+ * @param {ASTNode} node
+ * @param {Trace} trace - Results of evaluated nodes, skipped branches have none
+ * @param {(value: DecimalInstance | DecimalInstance[] | boolean) => string} format
+ * @returns {Step}
+ */
+function explainNode(node, trace, format) {
+  /** @type {Step[]} */
+  const steps = []
+  let derivation = print(
+    mapChildren(node, child => {
+      if (!trace.has(child)) return child
+      if (!isLeaf(child)) {
+        const step = explainNode(child, trace, format)
+        steps.push(...(step.derivation === step.result ? step.steps : [step]))
+      }
+      return { type: 'number', value: format(/** @type {any} */ (trace.get(child))) }
+    })
+  )
+  const result = format(/** @type {any} */ (trace.get(node)))
+  if (isLeaf(node)) {
+    derivation = result
+  } else if (node.type === 'unit' && node.unit !== '%' && derivation !== result) {
+    // Conversion, e.g. '2500 Wh = 2.5 kWh' rather than '2.5 kWh Wh'
+    derivation = format(/** @type {any} */ (trace.get(node.operand)))
+  }
+  return { expression: print(node), derivation, result, steps }
+}
+
+/**
+ * Renders a derivation as indented lines, e.g. '108.25 = 100 * 1.0825'
+ * @param {Step} step
+ * @param {string} [indent]
+ * @returns {string}
+ */
+function formatStep(step, indent = '') {
+  const line =
+    step.derivation === step.result
+      ? `${indent}${step.result}`
+      : `${indent}${step.result} = ${step.derivation}`
+  return [line, ...step.steps.map(child => formatStep(child, `${indent}  `))].join('\n')
 }
 
 /**
- * Creates math and is functions that cache AST
- * @param {DecimalConstructor} DecimalConstructor
+ * Returns whether an AST node evaluates to a boolean or a Decimal
+ * @param {ASTNode} node
+ * @returns {'boolean' | 'number'}
  */
-export function create(DecimalConstructor) {
-  const mathCache = new WeakMap()
-  const isCache = new WeakMap()
+function kindOf(node) {
+  if (node.type === 'binary') return COMPARISON_OPS.has(node.op) ? 'boolean' : 'number'
+  if (node.type === 'logical') return 'boolean'
+  if (node.type === 'unary') return node.op === '!' ? 'boolean' : 'number'
+  if (node.type === 'conditional') return kindOf(node.consequent)
+  if (node.type === 'let') return kindOf(node.body)
+  return 'number'
+}
 
-  return {
+/**
+ * Returns whether an AST node can evaluate to an array
+ * @param {ASTNode} node
+ * @returns {boolean}
+ */
+function mayBeArray(node) {
+  if (node.type === 'value' || node.type === 'variable' || node.type === 'array') return true
+  if (node.type === 'unary' || node.type === 'unit') return mayBeArray(node.operand)
+  if (node.type === 'binary') return mayBeArray(node.left) || mayBeArray(node.right)
+  if (node.type === 'conditional') return mayBeArray(node.consequent) || mayBeArray(node.alternate)
+  if (node.type === 'let') return mayBeArray(node.body)
+  return false
+}
+
+/**
+ * AST parser that builds an abstract syntax tree
+ */
+class ASTParser {
+  /**
+   * @param {Token[]} tokens
+   * @param {string} mode
+   * @param {ReadonlyArray<string>} template - Template strings, for error snippets
+   * @param {Map<string, ResolvedFunction>} functions - Available functions
+   * @param {Set<string> | null} variables - Declared variables, null allows any
+   * @param {Map<string, string>} unsupported - Errors for operators and functions the adapter can't support
+   * @param {UnitRegistry | null} units - Units for annotations, null without units
+   */
+  constructor(tokens, mode, template, functions, variables, unsupported, units) {
+    this.tokens = tokens
+    this.template = template
+    this.functions = functions
+    this.variables = variables
+    this.unsupported = unsupported
+    this.units = units
     /**
-     * @param {TemplateStringsArray} template
-     * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
-     * @returns {DecimalInstance}
+     * Names bound by let so far
+     * @type {Set<string>}
+     */
+    this.bound = new Set()
+    /**
+     * Name whose let value is being parsed
+     * @type {string | null}
+     */
+    this.binding = null
+    this.pos = 0
+    this.mode = mode // 'math', 'is' or 'any'
+    /**
+     * Operator and unit tokens of nodes, for error positions
+     * @type {WeakMap<ASTNode, Token>}
      */
-    math(template, ...values) {
-      let ast = mathCache.get(template)
+    this.operators = new WeakMap()
+  }
 
-      if (!ast) {
-        const tokens = tokenize(template)
-        const parser = new ASTParser(tokens, 'math')
-        ast = parser.parseExpression(0, true)
+  current() {
+    return this.tokens[this.pos]
+  }
 
-        if (parser.current().type !== 'EOF') {
-          throw new Error('Unexpected tokens after expression')
-        }
+  advance() {
+    this.pos++
+  }
 
-        mathCache.set(template, ast)
+  /**
+   * Creates a syntax error pointing at a token
+   * @param {string} message
+   * @param {Token} [token] - Offending token, defaults to the current one
+   * @returns {DecimationSyntaxError}
+   */
+  error(message, token = this.current()) {
+    return new DecimationSyntaxError(message, this.template, token)
+  }
+
+  /**
+   * Describes the operator producing a boolean node
+   * @param {ASTNode} node
+   * @returns {string}
+   */
+  describe(node) {
+    if (node.type === 'binary') return `Comparison operator '${node.op}'`
+    if (node.type === 'logical' || node.type === 'unary') return `Logical operator '${node.op}'`
+    return `Conditional '?' with comparison branches`
+  }
+
+  /**
+   * Ensures a node evaluates to a Decimal
+   * @param {ASTNode} node
+   * @param {string} [usage] - Where a boolean can't be used
+   * @returns {ASTNode}
+   */
+  expectNumber(
+    node,
+    usage = `at the top level of 'is' template or in a condition, not in nested expressions`
+  ) {
+    if (kindOf(node) === 'boolean') {
+      throw this.error(`${this.describe(node)} can only be used ${usage}`, this.operators.get(node))
+    }
+    return node
+  }
+
+  /**
+   * Ensures a node evaluates to a boolean
+   * @param {ASTNode} node
+   * @param {Token} token - Operator requiring the boolean
+   * @param {string} message
+   * @returns {ASTNode}
+   */
+  expectBoolean(node, token, message) {
+    if (kindOf(node) !== 'boolean') {
+      throw this.error(message, token)
+    }
+    return node
+  }
+
+  /**
+   * Parse let bindings separated by ';', followed by the result expression
+   * @returns {ASTNode}
+   */
+  parseProgram() {
+    const token = this.current()
+    const next = this.tokens[this.pos + 1]
+
+    if (token.type === 'IDENTIFIER' && token.value === 'let' && next.type === 'IDENTIFIER') {
+      const name = next.value
+      if (this.functions.has(name)) {
+        throw this.error(`Cannot bind '${name}', it would shadow function ${name}()`, next)
+      }
+      if (this.bound.has(name)) {
+        throw this.error(`'${name}' is already bound`, next)
       }
+      this.advance() // consume 'let'
+      this.advance() // consume name
 
-      const processedValues = preprocessValues(values, DecimalConstructor)
-      return /** @type {DecimalInstance} */ (interpret(ast, processedValues, DecimalConstructor))
-    },
+      if (this.current().type !== 'ASSIGN') {
+        throw this.error(`Expected '=' after 'let ${name}'`)
+      }
+      this.advance() // consume '='
 
-    /**
-     * @param {TemplateStringsArray} template
-     * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
-     * @returns {boolean}
-     */
-    is(template, ...values) {
-      let ast = isCache.get(template)
+      this.binding = name
+      const value = this.expectNumber(
+        this.parseExpression(0),
+        `in 'is' template or in a condition, not as a let value`
+      )
+      this.binding = null
+      if (this.current().type !== 'SEMICOLON') {
+        throw this.error(`Expected ';' after let binding`)
+      }
+      this.advance() // consume ';'
 
-      if (!ast) {
-        const tokens = tokenize(template)
-        const parser = new ASTParser(tokens, 'is')
-        ast = parser.parseExpression(0, true)
+      this.bound.add(name)
+      return { type: 'let', name, value, body: this.parseProgram() }
+    }
 
-        if (parser.current().type !== 'EOF') {
-          throw new Error('Unexpected tokens after expression')
-        }
+    const expr = this.parseExpression(0)
+    if (this.current().type === 'SEMICOLON') {
+      this.advance() // allow trailing ';'
+    }
+    return expr
+  }
+
+  /**
+   * Checks whether a let binding for a name follows the current position
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isBoundLater(name) {
+    return this.tokens.some(
+      (token, i) =>
+        i >= this.pos - 1 &&
+        token.type === 'IDENTIFIER' &&
+        token.value === 'let' &&
+        this.tokens[i + 1].type === 'IDENTIFIER' &&
+        this.tokens[i + 1].value === name
+    )
+  }
+
+  /**
+   * Parse property access after a value or variable: ${order}.customer.discount
+   * @returns {string[] | undefined} Property names, undefined without property access
+   */
+  parsePath() {
+    if (this.current().type !== 'DOT') return undefined
+
+    const path = []
+    while (this.current().type === 'DOT') {
+      this.advance() // consume '.'
+      const property = this.current()
+      if (property.type !== 'IDENTIFIER') {
+        throw this.error(`Expected property name after '.'`)
+      }
+      path.push(property.value)
+      this.advance() // consume property name
+    }
+    return path
+  }
+
+  /**
+   * Parse percent or a unit after an operand: 5%, ${energy} kWh, (${a} + ${b}) USD/kWh
+   * @param {ASTNode} operand
+   * @returns {ASTNode}
+   */
+  parseUnit(operand) {
+    const token = this.current()
+    const { units } = this
+
+    /** @type {ASTNode} */
+    let node
+    if (token.type === 'PERCENT') {
+      this.advance() // consume '%'
+      node = { type: 'unit', operand: this.expectNumber(operand), unit: '%' }
+    } else if (
+      units &&
+      token.type === 'IDENTIFIER' &&
+      units.has(token.value) &&
+      this.tokens[this.pos + 1].type !== 'LPAREN'
+    ) {
+      const { unit, end } = readUnit(this.tokens, this.pos, name => units.has(name))
+      this.pos = end
+      node = { type: 'unit', operand: this.expectNumber(operand), unit }
+    } else {
+      return operand
+    }
+
+    this.operators.set(node, token)
+    return node
+  }
+
+  /**
+   * Infers dimensions of a node, reporting mismatched units in '+', '-', '%' and comparisons.
+   * Interpolated values and variables may hold quantities, so they're checked at evaluation.
+   * @param {ASTNode} node
+   * @param {Map<string, Dimensions | null>} [bound] - Dimensions of let-bound names
+   * @returns {Dimensions | null} Dimensions, null if unknown until evaluation
+   */
+  checkUnits(node, bound = new Map()) {
+    const units = /** @type {UnitRegistry} */ (this.units)
+
+    if (node.type === 'number') return {}
+    if (node.type === 'value') return null
+    if (node.type === 'variable') return bound.get(node.name) ?? null
+    if (node.type === 'let') {
+      const value = this.checkUnits(node.value, bound)
+      return this.checkUnits(node.body, new Map(bound).set(node.name, value))
+    }
+    if (node.type === 'unit') {
+      const operand = this.checkUnits(node.operand, bound)
+      if (node.unit === '%') return operand
+      const { dimensions } = units.get(node.unit)
+      if (operand && !isDimensionless(operand) && !sameDimensions(operand, dimensions)) {
+        throw this.error(
+          `Cannot convert ${formatDimensions(operand)} to ${node.unit}`,
+          this.operators.get(node)
+        )
+      }
+      return dimensions
+    }
+    if (node.type === 'unary') {
+      const operand = this.checkUnits(node.operand, bound)
+      return node.op === '!' ? null : operand
+    }
+    if (node.type === 'binary') {
+      const left = this.checkUnits(node.left, bound)
+      const right = this.checkUnits(node.right, bound)
+      const { op } = node
 
-        if (!parser.hasTopLevelComparison) {
-          throw new Error(
-            `'is' template requires a comparison operator (<, <=, ==, >, >=, !=) at the top level`
+      if (op === '*' || op === '/') {
+        return left && right ? combineDimensions(left, right, op === '*' ? 1 : -1) : null
+      }
+      if (op === '**') {
+        if (right && !isDimensionless(right)) {
+          throw this.error(
+            `Exponent must be dimensionless, not ${formatDimensions(right)}`,
+            this.operators.get(node)
           )
         }
+        if (!left || isDimensionless(left)) return left
+        const exponent = node.right.type === 'number' ? Number(node.right.value) : NaN
+        return Number.isInteger(exponent) ? combineDimensions({}, left, exponent) : null
+      }
 
-        isCache.set(template, ast)
+      // Zero has any dimensions
+      if (isZeroLiteral(node.left)) return COMPARISON_OPS.has(op) ? null : right
+      if (isZeroLiteral(node.right)) return COMPARISON_OPS.has(op) ? null : left
+      if (left && right && !sameDimensions(left, right)) {
+        throw this.error(
+          `Unit mismatch in '${op}': ${describeUnit(node.left, left)} and ${describeUnit(node.right, right)}`,
+          this.operators.get(node)
+        )
       }
+      return COMPARISON_OPS.has(op) ? null : (left ?? right)
+    }
+    if (node.type === 'conditional') {
+      this.checkUnits(node.test, bound)
+      const consequent = this.checkUnits(node.consequent, bound)
+      const alternate = this.checkUnits(node.alternate, bound)
+      return consequent ?? alternate
+    }
 
-      const processedValues = preprocessValues(values, DecimalConstructor)
-      return /** @type {boolean} */ (interpret(ast, processedValues, DecimalConstructor))
-    },
+    children(node).forEach(child => this.checkUnits(child, bound))
+    return null
+  }
+
+  /**
+   * Parse primary expression and return AST node
+   * @returns {ASTNode}
+   */
+  parsePrimary() {
+    const token = this.current()
+
+    if (token.type === 'VALUE') {
+      const index = token.value
+      this.advance()
+
+      const path = this.parsePath()
+      return this.parseUnit(path ? { type: 'value', index, path } : { type: 'value', index })
+    } else if (token.type === 'NUMBER') {
+      const value = token.value
+      this.advance()
+      return this.parseUnit({ type: 'number', value })
+    } else if (token.type === 'IDENTIFIER' && this.tokens[this.pos + 1].type !== 'LPAREN') {
+      const name = token.value
+      this.advance() // consume variable name
+
+      if (this.bound.has(name)) {
+        if (this.current().type === 'DOT') {
+          throw this.error(`Property access is not supported on let-bound '${name}'`)
+        }
+        return this.parseUnit({ type: 'variable', name })
+      }
+
+      if (name === this.binding || this.isBoundLater(name)) {
+        throw this.error(`'${name}' is used before it's bound`, token)
+      }
+
+      if (this.variables && !this.variables.has(name)) {
+        if (this.functions.has(name)) {
+          throw this.error(`Expected '(' after function name '${name}'`)
+        }
+        throw this.error(`Unknown variable: ${name}`, token)
+      }
+
+      const path = this.parsePath()
+      return this.parseUnit(path ? { type: 'variable', name, path } : { type: 'variable', name })
+    } else if (token.type === 'IDENTIFIER') {
+      const funcName = token.value
+      this.advance() // consume function name
+      this.advance() // consume '('
+
+      // Parse function arguments
+      const args = []
+      while (this.current().type !== 'RPAREN') {
+        args.push(
+          this.expectNumber(
+            this.parseExpression(0),
+            `at the top level of 'is' template or in a condition, not as a function argument`
+          )
+        )
+
+        if (this.current().type === 'COMMA') {
+          this.advance() // consume ','
+        } else if (this.current().type !== 'RPAREN') {
+          throw this.error('Expected comma or closing parenthesis in function call')
+        }
+      }
+
+      this.advance() // consume ')'
+
+      // Validate function at parse time
+      const func = this.functions.get(funcName)
+      if (!func) {
+        throw this.error(this.unsupported.get(funcName) ?? `Unknown function: ${funcName}`, token)
+      }
+
+      // Validate argument counts
+      if (args.length < func.min || args.length > func.max) {
+        throw this.error(describeArity(func), token)
+      }
+
+      // Only interpolated values, and arithmetic on them, can hold arrays
+      args.forEach((arg, i) => {
+        if (argumentKind(func, i) === 'array' && !mayBeArray(arg)) {
+          throw this.error(
+            `${funcName}() argument ${i + 1} must be an interpolated array or arithmetic on one`,
+            token
+          )
+        }
+      })
+
+      return this.parseUnit({ type: 'function', name: funcName, args })
+    } else if (token.type === 'OPERATOR' && (token.value === '+' || token.value === '-')) {
+      // Handle unary + and -
+      const op = token.value
+      this.advance() // consume operator
+      const operand = this.expectNumber(this.parsePrimary())
+      return { type: 'unary', op, operand }
+    } else if (token.type === 'NOT') {
+      // Unary ! binds looser than comparisons: !${a} > ${b} negates the comparison
+      this.advance() // consume '!'
+      const operand = this.expectBoolean(
+        this.parseExpression(PRECEDENCE['<']),
+        token,
+        `Logical operator '!' requires a comparison operand, e.g. !(\${a} > \${b})`
+      )
+      /** @type {ASTNode} */
+      const node = { type: 'unary', op: '!', operand }
+      this.operators.set(node, token)
+      return node
+    } else if (token.type === 'LBRACKET') {
+      this.advance() // consume '['
+
+      const elements = []
+      while (this.current().type !== 'RBRACKET') {
+        elements.push(
+          this.expectNumber(
+            this.parseExpression(0),
+            `at the top level of 'is' template or in a condition, not as an array element`
+          )
+        )
+
+        if (this.current().type === 'COMMA') {
+          this.advance() // consume ','
+        } else if (this.current().type !== 'RBRACKET') {
+          throw this.error(`Expected comma or ']' in array`)
+        }
+      }
+
+      this.advance() // consume ']'
+      return { type: 'array', elements }
+    } else if (token.type === 'LPAREN') {
+      this.advance() // consume '('
+      const expr = this.parseExpression(0)
+      if (this.current().type !== 'RPAREN') {
+        throw this.error('Expected closing parenthesis')
+      }
+      this.advance() // consume ')'
+      return this.parseUnit(expr)
+    } else {
+      throw this.error(`Unexpected token: ${token.type}`)
+    }
+  }
+
+  /**
+   * Parse expression with precedence climbing and return AST node
+   * https://eli.thegreenplace.net/2012/08/02/parsing-expressions-by-precedence-climbing
+   * @param {number} minPrec - Minimum precedence level
+   * @returns {ASTNode}
+   */
+  parseExpression(minPrec) {
+    let left = this.parsePrimary()
+    // Right operand of the previous comparison, to expand a < b < c into a < b && b < c
+    /** @type {ASTNode | null} */
+    let chained = null
+
+    while (true) {
+      const token = this.current()
+
+      // Conditional has the lowest precedence and is right-associative
+      if (token.type === 'QUESTION' && minPrec === 0) {
+        this.advance() // consume '?'
+        const test = this.expectBoolean(
+          left,
+          token,
+          `Condition of '?' must be a comparison, e.g. \${qty} >= 100 ? \${price} * 0.9 : \${price}`
+        )
+        const consequent = this.parseExpression(0)
+        if (this.current().type !== 'COLON') {
+          throw this.error(`Expected ':' in conditional expression`)
+        }
+        const colon = this.current()
+        this.advance() // consume ':'
+        const alternate = this.parseExpression(0)
+        if (kindOf(consequent) !== kindOf(alternate)) {
+          throw this.error(
+            `Conditional branches must both be numbers or both be comparisons`,
+            colon
+          )
+        }
+        left = { type: 'conditional', test, consequent, alternate }
+        this.operators.set(left, token)
+        continue
+      }
+
+      if (token.type !== 'OPERATOR') break
+
+      const op = token.value
+      const prec = PRECEDENCE[op]
+
+      if (prec < minPrec) {
+        break
+      }
+
+      const message = this.unsupported.get(op)
+      if (message) throw this.error(message, token)
+
+      this.advance() // consume operator
+
+      const nextMinPrec = RIGHT_ASSOC.has(op) ? prec : prec + 1
+      const right = this.parseExpression(nextMinPrec)
+
+      if (op === '&&' || op === '||') {
+        const message = `Logical operator '${op}' requires comparison operands, e.g. \${a} > 0 ${op} \${b} > 0`
+        left = {
+          type: 'logical',
+          op,
+          left: this.expectBoolean(left, token, message),
+          right: this.expectBoolean(right, token, message),
+        }
+        chained = null
+      } else if (COMPARISON_OPS.has(op)) {
+        /** @type {ASTNode} */
+        const comparison = {
+          type: 'binary',
+          op,
+          left: chained ?? this.expectNumber(left),
+          right: this.expectNumber(right),
+        }
+        this.operators.set(comparison, token)
+        left = chained ? { type: 'logical', op: '&&', left, right: comparison } : comparison
+        chained = right
+      } else {
+        left = {
+          type: 'binary',
+          op,
+          left: this.expectNumber(left),
+          right: this.expectNumber(right),
+        }
+        chained = null
+      }
+      this.operators.set(left, token)
+    }
+
+    return left
+  }
+}
+
+// Adapter operations for binary operators, '!=' negates 'eq'
+/** @type {Readonly<Record<BinaryOperator, 'add' | 'sub' | 'mul' | 'div' | 'mod' | 'pow' | 'lt' | 'lte' | 'eq' | 'gt' | 'gte'>>} */
+const BINARY_OPERATIONS = {
+  '+': 'add',
+  '-': 'sub',
+  '*': 'mul',
+  '/': 'div',
+  '%': 'mod',
+  '**': 'pow',
+  '<': 'lt',
+  '<=': 'lte',
+  '==': 'eq',
+  '>': 'gt',
+  '>=': 'gte',
+  '!=': 'eq',
+}
+
+/**
+ * Applies a binary operator to Decimals
+ * @param {BinaryOperator} op
+ * @param {DecimalInstance} left
+ * @param {DecimalInstance} right
+ * @param {DecimalAdapter} adapter
+ * @returns {DecimalInstance | boolean}
+ */
+function applyBinary(op, left, right, adapter) {
+  // Parser rejects operators the adapter doesn't support
+  const result = /** @type {Function} */ (adapter[BINARY_OPERATIONS[op]])(left, right)
+  return op === '!=' ? !result : result
+}
+
+/**
+ * Applies an arithmetic operator element-wise, broadcasting a Decimal over an array
+ * @param {BinaryOperator} op
+ * @param {DecimalInstance | Array<DecimalValue | DecimalInstance>} left
+ * @param {DecimalInstance | Array<DecimalValue | DecimalInstance>} right
+ * @param {DecimalAdapter} adapter
+ * @returns {DecimalInstance[]}
+ */
+function broadcast(op, left, right, adapter) {
+  const length = Array.isArray(left) ? left.length : /** @type {any[]} */ (right).length
+  if (Array.isArray(left) && Array.isArray(right)) {
+    assert(
+      left.length === right.length,
+      `Array length mismatch in '${op}': left operand has ${left.length} elements, right operand has ${right.length}`
+    )
+  }
+
+  /** @type {(operand: DecimalInstance | Array<DecimalValue | DecimalInstance>, i: number) => DecimalInstance} */
+  const element = (operand, i) => (Array.isArray(operand) ? adapter.from(operand[i]) : operand)
+
+  return Array.from(
+    { length },
+    (_, i) =>
+      /** @type {DecimalInstance} */ (applyBinary(op, element(left, i), element(right, i), adapter))
+  )
+}
+
+/**
+ * Interprets an AST node
+ * @param {ASTNode} node - AST node
+ * @param {Array<DecimalInstance | DecimalInstance[]>} values - Pre-processed values array
+ * @param {DecimalAdapter} adapter - Numeric library operations
+ * @param {Map<string, ResolvedFunction>} functions - Available functions
+ * @param {Map<string, DecimalInstance | DecimalInstance[]>} variables - Pre-processed variables by key
+ * @param {Trace} [trace] - Collects the result of each evaluated node
+ * @returns {DecimalInstance | DecimalInstance[] | boolean}
+ */
+function interpret(node, values, adapter, functions, variables, trace) {
+  const result = interpretNode(node, values, adapter, functions, variables, trace)
+  trace?.set(node, result)
+  return result
+}
+
+/**
+ * Interprets an AST node, tracing its operands
+ * @param {ASTNode} node
+ * @param {Array<DecimalInstance | DecimalInstance[]>} values
+ * @param {DecimalAdapter} adapter
+ * @param {Map<string, ResolvedFunction>} functions
+ * @param {Map<string, DecimalInstance | DecimalInstance[]>} variables
+ * @param {Trace} [trace]
+ * @returns {DecimalInstance | DecimalInstance[] | boolean}
+ */
+function interpretNode(node, values, adapter, functions, variables, trace) {
+  if (node.type === 'value') {
+    return values[node.index]
+  } else if (node.type === 'variable') {
+    return /** @type {DecimalInstance | DecimalInstance[]} */ (variables.get(variableKey(node)))
+  } else if (node.type === 'let') {
+    const value = /** @type {DecimalInstance | DecimalInstance[]} */ (
+      interpret(node.value, values, adapter, functions, variables, trace)
+    )
+    const scope = new Map(variables).set(node.name, value)
+    return interpret(node.body, values, adapter, functions, scope, trace)
+  } else if (node.type === 'number') {
+    return adapter.from(node.value)
+  } else if (node.type === 'unit') {
+    const operand = interpret(node.operand, values, adapter, functions, variables, trace)
+    /** @param {DecimalInstance} x */
+    const annotate = x =>
+      node.unit === '%'
+        ? adapter.div(x, adapter.from(100))
+        : /** @type {Function} */ (adapter.unit)(x, node.unit)
+    if (Array.isArray(operand)) return operand.map(x => annotate(adapter.from(x)))
+    assert(adapter.isInstance(operand), 'Unit operand must be a Decimal instance')
+    return annotate(/** @type {DecimalInstance} */ (operand))
+  } else if (node.type === 'array') {
+    return node.elements.map(element => {
+      const value = interpret(element, values, adapter, functions, variables, trace)
+      assert(adapter.isInstance(value), 'Array elements must be Decimal instances')
+      return /** @type {DecimalInstance} */ (value)
+    })
+  } else if (node.type === 'unary' && node.op === '!') {
+    return !interpret(node.operand, values, adapter, functions, variables, trace)
+  } else if (node.type === 'unary') {
+    const operand = interpret(node.operand, values, adapter, functions, variables, trace)
+    if (Array.isArray(operand)) {
+      const elements = operand.map(x => adapter.from(x))
+      return node.op === '-' ? elements.map(x => adapter.neg(x)) : elements
+    }
+    assert(adapter.isInstance(operand), 'Unary operation operand must be a Decimal instance')
+    switch (node.op) {
+      case '-':
+        return adapter.neg(operand)
+      case '+':
+        return operand
+    }
+  } else if (node.type === 'logical') {
+    // Short-circuit like JavaScript
+    const left = interpret(node.left, values, adapter, functions, variables, trace)
+    if (node.op === '&&' ? !left : left) return left
+    return interpret(node.right, values, adapter, functions, variables, trace)
+  } else if (node.type === 'conditional') {
+    return interpret(node.test, values, adapter, functions, variables, trace)
+      ? interpret(node.consequent, values, adapter, functions, variables, trace)
+      : interpret(node.alternate, values, adapter, functions, variables, trace)
+  } else if (node.type === 'binary') {
+    const left = interpret(node.left, values, adapter, functions, variables, trace)
+    const right = interpret(node.right, values, adapter, functions, variables, trace)
+
+    if (Array.isArray(left) || Array.isArray(right)) {
+      assert(
+        !COMPARISON_OPS.has(node.op),
+        `Comparison operator '${node.op}' requires Decimal operands, not arrays`
+      )
+      // Parser guarantees arithmetic operands aren't booleans
+      return broadcast(node.op, /** @type {any} */ (left), /** @type {any} */ (right), adapter)
+    }
+
+    assert(
+      adapter.isInstance(left) && adapter.isInstance(right),
+      'Binary operation operands must be Decimal instances'
+    )
+    return applyBinary(
+      node.op,
+      /** @type {DecimalInstance} */ (left),
+      /** @type {DecimalInstance} */ (right),
+      adapter
+    )
+  } else if (node.type === 'function') {
+    const func = functions.get(node.name)
+    assert(func, `Unknown function: ${node.name}`)
+
+    const args = node.args.map((arg, i) => {
+      const value = interpret(arg, values, adapter, functions, variables, trace)
+      const kind = argumentKind(func, i)
+      if (kind === 'array') {
+        assert(Array.isArray(value), `${node.name}() requires an array argument`)
+      } else if (kind === 'scalar') {
+        assert(adapter.isInstance(value), `${node.name}() argument ${i + 1} must be a Decimal`)
+      }
+      return value
+    })
+
+    return func.fn.apply(adapter.library, args)
+  }
+
+  throw new Error(`Unknown node type`)
+}
+
+/**
+ * Generates JavaScript source for an AST node
+ * @param {ASTNode} node - AST node
+ * @param {CompileContext} context - Available functions, collected literals and value slots
+ * @returns {string | null} Source, or null if the node can't be compiled
+ */
+function generate(node, context) {
+  if (node.type === 'value') {
+    context.scalars.add(node.index)
+    return `v[${node.index}]`
+  } else if (node.type === 'variable' && context.locals.has(node.name)) {
+    return /** @type {string} */ (context.locals.get(node.name))
+  } else if (node.type === 'let') {
+    const value = generate(node.value, context)
+    if (value === null) return null
+
+    const local = `l${context.declarations.length}`
+    context.declarations.push(local)
+    const outer = new Map(context.locals)
+    context.locals.set(node.name, local)
+    const body = generate(node.body, context)
+    context.locals = outer
+
+    if (body === null) return null
+    return `(${local} = ${value}, ${body})`
+  } else if (node.type === 'variable') {
+    // Keys only contain identifier characters and dots
+    const access = `w.get('${variableKey(node)}')`
+    context.guards.add(`Array.isArray(${access})`)
+    return access
+  } else if (node.type === 'number') {
+    context.constants.push(node.value)
+    return `c[${context.constants.length - 1}]`
+  } else if (node.type === 'unit') {
+    const operand = generate(node.operand, context)
+    if (operand === null) return null
+    // Quoted as a string literal, trees may come from JSON
+    if (node.unit !== '%') return `o.unit(${operand}, ${JSON.stringify(node.unit)})`
+    context.constants.push('100')
+    return `o.div(${operand}, c[${context.constants.length - 1}])`
+  } else if (node.type === 'unary') {
+    const operand = generate(node.operand, context)
+    if (operand === null) return null
+    if (node.op === '!') return `!(${operand})`
+    return node.op === '-' ? `o.neg(${operand})` : operand
+  } else if (node.type === 'logical') {
+    const left = generate(node.left, context)
+    const right = generate(node.right, context)
+    if (left === null || right === null) return null
+    return `(${left} ${node.op} ${right})`
+  } else if (node.type === 'conditional') {
+    const test = generate(node.test, context)
+    const consequent = generate(node.consequent, context)
+    const alternate = generate(node.alternate, context)
+    if (test === null || consequent === null || alternate === null) return null
+    return `(${test} ? ${consequent} : ${alternate})`
+  } else if (node.type === 'binary') {
+    const left = generate(node.left, context)
+    const right = generate(node.right, context)
+    if (left === null || right === null) return null
+    const call = `o.${BINARY_OPERATIONS[node.op]}(${left}, ${right})`
+    return node.op === '!=' ? `!${call}` : call
+  } else if (node.type === 'function') {
+    const func = context.functions.get(node.name)
+    if (!func) return null
+
+    const args = []
+    for (const [i, arg] of node.args.entries()) {
+      const kind = argumentKind(func, i)
+      if (kind !== 'scalar' && arg.type === 'value') {
+        if (kind === 'array') context.arrays.add(arg.index)
+        args.push(`v[${arg.index}]`)
+        continue
+      }
+      // A local only holds an array on the interpreter path
+      if (kind === 'array' && arg.type === 'variable' && context.locals.has(arg.name)) return null
+      if (kind !== 'scalar' && arg.type === 'variable' && !context.locals.has(arg.name)) {
+        const access = `w.get('${variableKey(arg)}')`
+        if (kind === 'array') context.guards.add(`!Array.isArray(${access})`)
+        args.push(access)
+        continue
+      }
+      // Array arithmetic is left to interpret()
+      if (kind === 'array') return null
+
+      const source = generate(arg, context)
+      if (source === null) return null
+      args.push(source)
+    }
+
+    context.implementations.push(func.name)
+    return `f[${context.implementations.length - 1}].call(D${args.map(arg => `, ${arg}`).join('')})`
+  }
+
+  return null
+}
+
+/**
+ * Generates the source of a function of values and variables calling adapter operations, with
+ * literals and functions passed in by index. Values of unexpected shape take the fallback path,
+ * which reports the error.
+ * @param {ASTNode} ast - AST node
+ * @param {Map<string, ResolvedFunction>} functions - Available functions
+ * @returns {PrecompiledTemplate | null} Null if the AST can't be compiled, e.g. array arithmetic
+ */
+function compileSource(ast, functions) {
+  /** @type {CompileContext} */
+  const context = {
+    functions,
+    constants: [],
+    implementations: [],
+    scalars: new Set(),
+    arrays: new Set(),
+    guards: new Set(),
+    locals: new Map(),
+    declarations: [],
+  }
+  const source = generate(ast, context)
+  if (source === null) return null
+
+  const guards = [
+    ...[...context.scalars].map(i => `Array.isArray(v[${i}])`),
+    ...[...context.arrays].map(i => `!Array.isArray(v[${i}])`),
+    ...context.guards,
+  ]
+  const body = [
+    ...(guards.length ? [`if (${guards.join(' || ')}) return fallback(v, w)`] : []),
+    ...(context.declarations.length ? [`let ${context.declarations.join(', ')}`] : []),
+    `return ${source}`,
+  ].join('\n  ')
+
+  return {
+    paths: valuePaths(ast),
+    constants: context.constants,
+    functions: context.implementations,
+    source: `function (v, w) {\n  ${body}\n}`,
+  }
+}
+
+/**
+ * Binds a precompiled function to an adapter's library, operations, literals and functions
+ * @param {LinkableTemplate['evaluate']} factory
+ * @param {Omit<PrecompiledTemplate, 'source'>} precompiled
+ * @param {DecimalAdapter} adapter - Numeric library operations
+ * @param {Map<string, ResolvedFunction>} functions - Available functions
+ * @param {CompiledFunction} fallback - Interpreter
+ * @returns {CompiledFunction}
+ */
+function link(factory, { constants, functions: names }, adapter, functions, fallback) {
+  return factory(
+    adapter.library,
+    adapter,
+    constants.map(x => adapter.from(x)),
+    names.map(name => /** @type {ResolvedFunction} */ (functions.get(name)).fn),
+    fallback
+  )
+}
+
+/**
+ * Compiles an AST into a function that calls adapter operations directly, with literals
+ * constructed once. Falls back to interpret() when code generation isn't possible,
+ * e.g. under a Content Security Policy that forbids `new Function`.
+ * @param {ASTNode} ast - AST node
+ * @param {DecimalAdapter} adapter - Numeric library operations
+ * @param {Map<string, ResolvedFunction>} functions - Available functions
+ * @returns {CompiledFunction}
+ */
+function compileAST(ast, adapter, functions) {
+  /** @type {CompiledFunction} */
+  const interpreted = (values, variables) => interpret(ast, values, adapter, functions, variables)
+
+  const precompiled = compileSource(ast, functions)
+  if (precompiled === null) return interpreted
+
+  try {
+    const factory = new Function('D', 'o', 'c', 'f', 'fallback', `return ${precompiled.source}`)
+    return link(/** @type {any} */ (factory), precompiled, adapter, functions, interpreted)
+  } catch {
+    return interpreted
+  }
+}
+
+// Maximum number of string expressions cached per create() instance
+const SOURCE_CACHE_SIZE = 1000
+
+// Default range of solve() unknowns
+/** @type {[number, number]} */
+const SOLVE_BOUNDS = [0, 1e6]
+
+// Root-finding methods of solve.with()
+const SOLVE_METHODS = ['bisection', 'newton', 'secant']
+
+/**
+ * Parses a template into an AST, validating it for the given mode
+ * @param {ReadonlyArray<string>} template - Template strings
+ * @param {'math' | 'is' | 'any'} mode - Required result, 'any' accepts both
+ * @param {Map<string, ResolvedFunction>} functions - Available functions
+ * @param {Set<string> | null} variables - Declared variables, null allows any
+ * @param {Map<string, string>} unsupported - Errors for operators and functions the adapter can't support
+ * @param {UnitRegistry | null} units - Units for annotations, null without units
+ * @returns {ASTNode}
+ */
+function parseTemplate(template, mode, functions, variables, unsupported, units) {
+  const tokens = tokenize(template)
+  const parser = new ASTParser(tokens, mode, template, functions, variables, unsupported, units)
+  const ast = parser.parseProgram()
+
+  if (parser.current().type !== 'EOF') {
+    throw parser.error('Unexpected tokens after expression')
+  }
+
+  if (units) parser.checkUnits(ast)
+
+  if (mode === 'is') {
+    parser.expectBoolean(
+      ast,
+      tokens[0],
+      `'is' template requires a comparison operator (<, <=, ==, >, >=, !=) at the top level`
+    )
+  } else if (mode === 'math') {
+    parser.expectNumber(ast, `in 'is' template or in a condition, not as 'math' result`)
+  }
+
+  return ast
+}
+
+// Tagged templates have no scope to resolve variables from
+/** @type {Set<string>} */
+const NO_VARIABLES = new Set()
+
+/**
+ * Adapts a decimal.js-compatible constructor, e.g. decimal.js or Prisma Decimal. Template
+ * functions call its methods, and report the ones it lacks when used.
+ * @param {DecimalConstructor} Decimal
+ * @returns {DecimalAdapter<DecimalInstance>}
+ */
+export function decimalAdapter(Decimal) {
+  return {
+    name: 'decimal.js',
+    library: Decimal,
+    from: x => (isInstance(x, Decimal) ? x : new Decimal(x)),
+    isInstance: x => isInstance(x, Decimal),
+    add: (x, y) => x.add(y),
+    sub: (x, y) => x.sub(y),
+    mul: (x, y) => x.mul(y),
+    div: (x, y) => x.div(y),
+    mod: (x, y) => invoke(x, 'mod', "'%' operator", y),
+    pow: (x, y) => x.pow(y),
+    neg: x => x.neg(),
+    lt: (x, y) => x.lt(y),
+    lte: (x, y) => x.lte(y),
+    eq: (x, y) => x.eq(y),
+    gt: (x, y) => x.gt(y),
+    gte: (x, y) => x.gte(y),
+    toDecimalPlaces: (x, dp) => invoke(x, 'toDecimalPlaces', 'resultDecimalPlaces', dp),
+    configure({ precision, rounding }) {
+      if (typeof Decimal.clone !== 'function') {
+        throw new TypeError(
+          `precision and rounding options require a Decimal constructor with clone()`
+        )
+      }
+      return decimalAdapter(
+        Decimal.clone({
+          ...(precision !== undefined && { precision }),
+          ...(rounding !== undefined && { rounding }),
+        })
+      )
+    },
+  }
+}
+
+/**
+ * Template functions written with adapter operations, for libraries without decimal.js methods.
+ * Rounding functions are library-specific and left to the adapter.
+ * @param {DecimalAdapter} adapter
+ * @param {(x: any) => any} [sqrt] - Square root, sqrt() and hypot() are unsupported without it
+ * @returns {Record<string, FunctionDefinition | null>}
+ */
+function adapterFunctions(adapter, sqrt) {
+  const { from, add, mul, div, lt, gt } = adapter
+  const zero = () => from(0)
+
+  /**
+   * Flattens scalar and array arguments, requiring at least one value
+   * @param {any[]} args
+   * @param {string} caller - Template function name
+   * @returns {any[]}
+   */
+  const all = (args, caller) => {
+    const values = args.flatMap(arg => (Array.isArray(arg) ? arg.map(x => from(x)) : [arg]))
+    assert(values.length > 0, `${caller} requires at least one value`)
+    return values
+  }
+  // Starts from the first value, so totals of money keep their currency
+  /** @param {any[]} values */
+  const total = values => (values.length ? values.map(x => from(x)).reduce(add) : zero())
+
+  return {
+    abs: { arity: 1, fn: x => (lt(x, zero()) ? adapter.neg(x) : x) },
+    clamp: {
+      arity: 3,
+      usage: 'clamp(value, min, max)',
+      fn: (x, min, max) => (lt(x, min) ? min : gt(x, max) ? max : x),
+    },
+    sign: { arity: 1, fn: x => from(lt(x, zero()) ? -1 : gt(x, zero()) ? 1 : 0) },
+    mod: adapter.mod
+      ? { arity: 2, usage: 'mod(value, divisor)', fn: /** @type {any} */ (adapter.mod) }
+      : null,
+    sqrt: sqrt ? { arity: 1, fn: sqrt } : null,
+    exp: null,
+    ln: null,
+    log: null,
+    sum: { arity: 1, args: 'array', fn: total },
+    min: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn: (...args) => all(args, 'min()').reduce((a, b) => (lt(b, a) ? b : a)),
+    },
+    max: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn: (...args) => all(args, 'max()').reduce((a, b) => (gt(b, a) ? b : a)),
+    },
+    avg: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn(...args) {
+        const values = all(args, 'avg()')
+        return div(total(values), from(values.length))
+      },
+    },
+    mean: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn(...args) {
+        const values = all(args, 'mean()')
+        return div(total(values), from(values.length))
+      },
+    },
+    product: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn: (...args) => all(args, 'product()').reduce((acc, x) => mul(acc, x), from(1)),
+    },
+    hypot: sqrt
+      ? {
+          arity: [1, Infinity],
+          args: 'any',
+          fn: (...args) => sqrt(total(all(args, 'hypot()').map(x => mul(x, x)))),
+        }
+      : null,
+  }
+}
+
+/**
+ * Returns a one-argument template function of the adapter, or the built-in one
+ * @param {DecimalAdapter} adapter
+ * @param {string} name - Function name, e.g. 'ln'
+ * @returns {((x: any) => any) | null} The function, or null when the adapter doesn't support it
+ */
+function libraryFunction(adapter, name) {
+  const definition =
+    adapter.functions && name in adapter.functions
+      ? adapter.functions[name]
+      : BUILTIN_FUNCTIONS[name]
+  return definition ? x => definition.fn.call(adapter.library, x) : null
+}
+
+// Range of rate(), irr() and xirr() results, from -99% to 1000% per period
+/** @type {[string, string]} */
+const RATE_BOUNDS = ['-0.99', '10']
+
+/**
+ * Converts an xnpv() or xirr() date to days, a Date by its local calendar day like spreadsheets
+ * @param {any} date - Date or number of days
+ * @returns {number | any}
+ */
+function toDays(date) {
+  if (!(date instanceof Date)) return date
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000
+}
+
+/**
+ * Finance template functions following spreadsheet conventions: cash paid out is negative, and
+ * type 1 means payments at the start of each period. Written with adapter operations, so they
+ * work with money too.
+ * @param {DecimalAdapter} adapter
+ * @returns {Record<string, FunctionDefinition | null>}
+ */
+function financeFunctions(adapter) {
+  const { from, add, sub, mul, div, neg, lt, gt, eq } = adapter
+  const { pow } = adapter
+  const zero = from(0)
+  const one = from(1)
+  const ln = libraryFunction(adapter, 'ln')
+
+  if (!pow) {
+    const names = ['pmt', 'fv', 'pv', 'nper', 'rate', 'npv', 'irr', 'xnpv', 'xirr']
+    return Object.fromEntries(names.map(name => [name, null]))
+  }
+  /**
+   * (1 + rate) ** periods
+   * @param {any} rate
+   * @param {any} periods
+   */
+  const growth = (rate, periods) => pow(add(one, rate), periods)
+  /**
+   * Adds an optional argument, leaving money without a plain zero
+   * @param {any} x
+   * @param {any} [y]
+   */
+  const plus = (x, y) => (y === undefined ? x : add(x, y))
+  /**
+   * Future value of paying 1 each period, periods at a zero rate
+   * @param {any} rate
+   * @param {any} periods
+   * @param {any} type - 1 for payments at the start of periods
+   */
+  const annuity = (rate, periods, type = zero) =>
+    eq(rate, zero)
+      ? periods
+      : mul(add(one, mul(rate, type)), div(sub(growth(rate, periods), one), rate))
+  /**
+   * Sum of cash flows discounted at a rate
+   * @param {any} rate
+   * @param {any[]} values
+   * @param {(i: number) => any} periods - Periods from the present of each value
+   */
+  const discount = (rate, values, periods) =>
+    values.reduce((acc, x, i) => add(acc, div(from(x), growth(rate, periods(i)))), zero)
+  /**
+   * Requires a payment and a receipt, otherwise no rate makes their present value zero
+   * @param {any[]} values
+   * @param {string} caller
+   */
+  const cashFlows = (values, caller) => {
+    const flows = values.map(x => from(x))
+    assert(
+      flows.some(x => lt(x, zero)) && flows.some(x => gt(x, zero)),
+      `${caller} requires at least one negative and one positive cash flow`
+    )
+    return flows
+  }
+  /**
+   * Finds the rate making f zero
+   * @param {(rate: any) => any} f
+   * @param {string} caller
+   */
+  const rateOf = (f, caller) => {
+    const rate = findRoot(f, null, { bounds: RATE_BOUNDS }, adapter, `${caller} at rate`)
+    assert(rate !== null, `${caller} found no rate between ${RATE_BOUNDS.join(' and ')}`)
+    return rate
+  }
+  /**
+   * Checks dates of xnpv() and xirr() and returns years from the first one
+   * @param {any[]} values
+   * @param {any[]} dates - Dates or days
+   * @param {string} caller
+   */
+  const yearsFrom = (values, dates, caller) => {
+    assert(values.length === dates.length, `${caller} requires a date for each value`)
+    const days = dates.map(date => from(toDays(date)))
+    return days.map(day => div(sub(day, days[0]), from(365)))
+  }
+
+  return {
+    pmt: {
+      arity: [3, 5],
+      usage: 'pmt(rate, nper, pv, fv, type)',
+      fn: (rate, nper, pv, fv, type) =>
+        neg(div(plus(mul(pv, growth(rate, nper)), fv), annuity(rate, nper, type))),
+    },
+    fv: {
+      arity: [3, 5],
+      usage: 'fv(rate, nper, pmt, pv, type)',
+      fn(rate, nper, pmt, pv, type) {
+        const payments = mul(pmt, annuity(rate, nper, type))
+        return neg(pv === undefined ? payments : add(mul(pv, growth(rate, nper)), payments))
+      },
+    },
+    pv: {
+      arity: [3, 5],
+      usage: 'pv(rate, nper, pmt, fv, type)',
+      fn: (rate, nper, pmt, fv, type) =>
+        neg(div(plus(mul(pmt, annuity(rate, nper, type)), fv), growth(rate, nper))),
+    },
+    nper: ln
+      ? {
+          arity: [3, 5],
+          usage: 'nper(rate, pmt, pv, fv, type)',
+          fn(rate, pmt, pv, fv, type = zero) {
+            if (eq(rate, zero)) return neg(div(plus(pv, fv), pmt))
+            const perRate = div(mul(pmt, add(one, mul(rate, type))), rate)
+            const ratio = div(fv === undefined ? perRate : sub(perRate, fv), add(perRate, pv))
+            return div(ln(ratio), ln(add(one, rate)))
+          },
+        }
+      : null,
+    rate: {
+      arity: [3, 5],
+      usage: 'rate(nper, pmt, pv, fv, type)',
+      fn: (nper, pmt, pv, fv, type) =>
+        rateOf(
+          rate => plus(add(mul(pv, growth(rate, nper)), mul(pmt, annuity(rate, nper, type))), fv),
+          'rate()'
+        ),
+    },
+    npv: {
+      arity: [2, Infinity],
+      args: ['scalar', 'any'],
+      usage: 'npv(rate, values)',
+      fn: (rate, ...values) => discount(rate, values.flat(), i => from(i + 1)),
+    },
+    irr: {
+      arity: 1,
+      args: 'array',
+      fn(values) {
+        const flows = cashFlows(values, 'irr()')
+        return rateOf(rate => discount(rate, flows, i => from(i)), 'irr()')
+      },
+    },
+    xnpv: {
+      arity: 3,
+      args: ['scalar', 'array', 'array'],
+      usage: 'xnpv(rate, values, dates)',
+      fn(rate, values, dates) {
+        const years = yearsFrom(values, dates, 'xnpv()')
+        return discount(rate, values, i => years[i])
+      },
+    },
+    xirr: {
+      arity: 2,
+      args: 'array',
+      usage: 'xirr(values, dates)',
+      fn(values, dates) {
+        const flows = cashFlows(values, 'xirr()')
+        const years = yearsFrom(flows, dates, 'xirr()')
+        return rateOf(rate => discount(rate, flows, i => years[i]), 'xirr()')
+      },
+    },
+  }
+}
+
+/**
+ * Statistical template functions over the arguments and array elements. Written with adapter
+ * operations, so they work with money too. Array elements are cast like interpolated values.
+ * @param {DecimalAdapter} adapter
+ * @returns {Record<string, FunctionDefinition | null>}
+ */
+function statisticsFunctions(adapter) {
+  const { from, add, sub, mul, div, lt, gt } = adapter
+  const zero = from(0)
+  const sqrt = libraryFunction(adapter, 'sqrt')
+
+  /**
+   * Flattens scalar and array arguments
+   * @param {any[]} args
+   * @returns {any[]}
+   */
+  const flat = args => args.flatMap(arg => (Array.isArray(arg) ? arg.map(x => from(x)) : [arg]))
+  /**
+   * Sorts values, requiring at least one
+   * @param {any[]} values
+   * @param {string} caller - Template function name
+   * @returns {any[]}
+   */
+  const sorted = (values, caller) => {
+    assert(values.length > 0, `${caller} requires at least one value`)
+    return values.sort((a, b) => (lt(a, b) ? -1 : gt(a, b) ? 1 : 0))
+  }
+  /**
+   * Sample variance, like spreadsheets' VAR()
+   * @param {any[]} args
+   * @param {string} caller - Template function name
+   */
+  const variance = (args, caller) => {
+    const values = flat(args)
+    assert(values.length > 1, `${caller} requires at least two values`)
+    const mean = div(values.reduce(add), from(values.length))
+    const squares = values.map(x => {
+      const deviation = sub(x, mean)
+      return mul(deviation, deviation)
+    })
+    return div(squares.reduce(add), from(values.length - 1))
+  }
+
+  return {
+    count: { arity: [1, Infinity], args: 'any', fn: (...args) => from(flat(args).length) },
+    median: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn(...args) {
+        const values = sorted(flat(args), 'median()')
+        const middle = Math.floor(values.length / 2)
+        return values.length % 2
+          ? values[middle]
+          : div(add(values[middle - 1], values[middle]), from(2))
+      },
+    },
+    percentile: {
+      arity: 2,
+      args: ['array', 'scalar'],
+      usage: 'percentile(values, percent)',
+      fn(array, percent) {
+        assert(
+          !lt(percent, zero) && !gt(percent, from(100)),
+          `percentile() requires a percent between 0 and 100`
+        )
+        const values = sorted(flat([array]), 'percentile()')
+        // Interpolates between the closest ranks, like spreadsheets' PERCENTILE()
+        const rank = div(mul(percent, from(values.length - 1)), from(100))
+        let below = 0
+        while (below < values.length - 1 && !gt(from(below + 1), rank)) below++
+        if (below === values.length - 1) return values[below]
+        const fraction = sub(rank, from(below))
+        return add(values[below], mul(sub(values[below + 1], values[below]), fraction))
+      },
+    },
+    variance: {
+      arity: [1, Infinity],
+      args: 'any',
+      fn: (...args) => variance(args, 'variance()'),
+    },
+    stddev: sqrt
+      ? {
+          arity: [1, Infinity],
+          args: 'any',
+          fn: (...args) => sqrt(variance(args, 'stddev()')),
+        }
+      : null,
+    weighted_avg: {
+      arity: 2,
+      args: 'array',
+      usage: 'weighted_avg(values, weights)',
+      fn(array, weightArray) {
+        const values = flat([array])
+        const weights = flat([weightArray])
+        assert(values.length === weights.length, `weighted_avg() requires a weight for each value`)
+        const total = weights.reduce(add, zero)
+        assert(!adapter.eq(total, zero), `weighted_avg() requires weights not summing to zero`)
+        const weighted = values.map((x, i) => mul(x, weights[i]))
+        return div(weighted.reduce(add), total)
+      },
+    },
+  }
+}
+
+/**
+ * Adapts a big.js constructor. big.js has no exp(), ln() or log(), and only integer exponents
+ * for '**'. Division and sqrt() round to Big.DP decimal places.
+ * @param {any} Big - big.js constructor
+ * @returns {DecimalAdapter}
+ */
+export function bigAdapter(Big) {
+  /** @type {DecimalAdapter} */
+  const adapter = {
+    name: 'big.js',
+    library: Big,
+    from: x => (isInstance(x, Big) ? x : new Big(x)),
+    isInstance: x => isInstance(x, Big),
+    add: (x, y) => x.plus(y),
+    sub: (x, y) => x.minus(y),
+    mul: (x, y) => x.times(y),
+    div: (x, y) => x.div(y),
+    mod: (x, y) => x.mod(y),
+    pow(x, y) {
+      const exponent = y.toNumber()
+      assert(
+        Number.isInteger(exponent) && Math.abs(exponent) <= 1e6,
+        `${x} ** ${y} is not supported by the big.js adapter, exponents must be integers up to 1e6`
+      )
+      return x.pow(exponent)
+    },
+    neg: x => x.neg(),
+    lt: (x, y) => x.lt(y),
+    lte: (x, y) => x.lte(y),
+    eq: (x, y) => x.eq(y),
+    gt: (x, y) => x.gt(y),
+    gte: (x, y) => x.gte(y),
+    toDecimalPlaces: (x, dp) => x.round(dp),
+    configure({ precision, rounding }) {
+      if (precision !== undefined) {
+        throw new TypeError(
+          `precision option is not supported by the big.js adapter, set Big.DP for division`
+        )
+      }
+      // Calling Big() without arguments creates an independent constructor
+      const Configured = Big()
+      Object.assign(Configured, { DP: Big.DP, NE: Big.NE, PE: Big.PE, strict: Big.strict })
+      Configured.RM = rounding ?? Big.RM
+      return bigAdapter(Configured)
+    },
+  }
+
+  /**
+   * Rounds to decimal places, 0 by default
+   * @param {any} x
+   * @param {any} dp
+   * @param {number} [mode] - Big rounding mode, Big.RM by default
+   */
+  const round = (x, dp, mode) => x.round(dp === undefined ? 0 : Number(dp), mode)
+
+  adapter.functions = {
+    ...adapterFunctions(adapter, x => x.sqrt()),
+    ceil: {
+      arity: [1, 2],
+      usage: 'ceil(value, decimalPlaces)',
+      fn: (x, dp) => round(x, dp, x.gt(0) ? Big.roundUp : Big.roundDown),
+    },
+    floor: {
+      arity: [1, 2],
+      usage: 'floor(value, decimalPlaces)',
+      fn: (x, dp) => round(x, dp, x.lt(0) ? Big.roundUp : Big.roundDown),
+    },
+    trunc: {
+      arity: [1, 2],
+      usage: 'trunc(value, decimalPlaces)',
+      fn: (x, dp) => round(x, dp, Big.roundDown),
+    },
+    round: {
+      arity: [1, 3],
+      usage: 'round(value, decimalPlaces, roundingMode)',
+      fn: (x, dp, mode) => round(x, dp, mode === undefined ? undefined : Number(mode)),
+    },
+  }
+  return adapter
+}
+
+/**
+ * Adapts a bignumber.js constructor. bignumber.js has no exp(), ln() or log(), and only integer
+ * exponents for '**'. Division and sqrt() round to DECIMAL_PLACES.
+ * @param {any} BigNumber - bignumber.js constructor
+ * @returns {DecimalAdapter}
+ */
+export function bigNumberAdapter(BigNumber) {
+  /** @type {DecimalAdapter} */
+  const adapter = {
+    name: 'bignumber.js',
+    library: BigNumber,
+    from: x => (isInstance(x, BigNumber) ? x : new BigNumber(x)),
+    isInstance: x => isInstance(x, BigNumber),
+    add: (x, y) => x.plus(y),
+    sub: (x, y) => x.minus(y),
+    mul: (x, y) => x.times(y),
+    div: (x, y) => x.div(y),
+    mod: (x, y) => x.mod(y),
+    pow(x, y) {
+      assert(
+        y.isInteger(),
+        `${x} ** ${y} is not supported by the bignumber.js adapter, exponents must be integers`
+      )
+      return x.pow(y)
+    },
+    neg: x => x.negated(),
+    lt: (x, y) => x.lt(y),
+    lte: (x, y) => x.lte(y),
+    eq: (x, y) => x.eq(y),
+    gt: (x, y) => x.gt(y),
+    gte: (x, y) => x.gte(y),
+    toDecimalPlaces: (x, dp) => x.decimalPlaces(dp),
+    configure({ precision, rounding }) {
+      if (precision !== undefined) {
+        throw new TypeError(
+          `precision option is not supported by the bignumber.js adapter, set DECIMAL_PLACES for division`
+        )
+      }
+      return bigNumberAdapter(BigNumber.clone({ ...BigNumber.config({}), ROUNDING_MODE: rounding }))
+    },
+  }
+
+  /**
+   * Rounds to an integer, or to decimal places
+   * @param {any} x
+   * @param {any} dp
+   * @param {number} [mode] - BigNumber rounding mode, ROUNDING_MODE by default
+   */
+  const round = (x, dp, mode) =>
+    dp === undefined ? x.integerValue(mode) : x.decimalPlaces(Number(dp), mode)
+
+  adapter.functions = {
+    ...adapterFunctions(adapter, x => x.sqrt()),
+    ceil: {
+      arity: [1, 2],
+      usage: 'ceil(value, decimalPlaces)',
+      fn: (x, dp) => round(x, dp, BigNumber.ROUND_CEIL),
+    },
+    floor: {
+      arity: [1, 2],
+      usage: 'floor(value, decimalPlaces)',
+      fn: (x, dp) => round(x, dp, BigNumber.ROUND_FLOOR),
+    },
+    trunc: {
+      arity: [1, 2],
+      usage: 'trunc(value, decimalPlaces)',
+      fn: (x, dp) => round(x, dp, BigNumber.ROUND_DOWN),
+    },
+    round: {
+      arity: [1, 3],
+      usage: 'round(value, decimalPlaces, roundingMode)',
+      fn: (x, dp, mode) => round(x, dp, mode === undefined ? undefined : Number(mode)),
+    },
+  }
+  return adapter
+}
+
+/**
+ * Adapts native bigint, e.g. for integer cents. Only integers are accepted, division must be
+ * exact, and functions needing fractions are unsupported.
+ * @type {DecimalAdapter<bigint>}
+ */
+export const bigintAdapter = {
+  name: 'bigint',
+  library: BigInt,
+  from(x) {
+    if (typeof x === 'bigint') return x
+    if (typeof x === 'number' || (typeof x === 'string' && x.trim() !== '')) {
+      try {
+        return BigInt(x)
+      } catch {
+        // Reported below
+      }
+    }
+    throw new RangeError(`Cannot convert ${String(x)} to bigint: only integers are supported`)
+  },
+  isInstance: x => typeof x === 'bigint',
+  add: (x, y) => x + y,
+  sub: (x, y) => x - y,
+  mul: (x, y) => x * y,
+  div(x, y) {
+    assert(y === 0n || x % y === 0n, `Inexact bigint division: ${x} / ${y}`)
+    return x / y
+  },
+  mod: (x, y) => x % y,
+  pow(x, y) {
+    assert(y >= 0n, `Negative bigint exponent: ${x} ** ${y}, results must be integers`)
+    return x ** y
+  },
+  neg: x => -x,
+  lt: (x, y) => x < y,
+  lte: (x, y) => x <= y,
+  eq: (x, y) => x === y,
+  gt: (x, y) => x > y,
+  gte: (x, y) => x >= y,
+  toDecimalPlaces: x => x,
+}
+
+bigintAdapter.functions = {
+  ...adapterFunctions(bigintAdapter),
+  // Integers are already rounded
+  ceil: { arity: [1, 2], usage: 'ceil(value, decimalPlaces)', fn: x => x },
+  floor: { arity: [1, 2], usage: 'floor(value, decimalPlaces)', fn: x => x },
+  trunc: { arity: [1, 2], usage: 'trunc(value, decimalPlaces)', fn: x => x },
+  round: { arity: [1, 3], usage: 'round(value, decimalPlaces, roundingMode)', fn: x => x },
+}
+
+/**
+ * Adapts a decimal.js-compatible constructor, or another adapter, to money. Values are
+ * `{ amount, currency }` objects or plain numbers. Adding, subtracting and comparing require
+ * matching currencies, comparisons also accept plain numbers. Money can be multiplied and divided
+ * by plain numbers. Results are rounded to the currency's minor units.
+ * @param {DecimalConstructor | DecimalAdapter} DecimalConstructor
+ * @param {MoneyOptions} [options]
+ * @returns {DecimalAdapter<Money<any>>}
+ */
+export function moneyAdapter(DecimalConstructor, options = {}) {
+  const base =
+    typeof DecimalConstructor === 'function'
+      ? decimalAdapter(DecimalConstructor)
+      : DecimalConstructor
+  /** @type {Map<string, number>} */
+  const minorUnits = new Map(Object.entries(options.currencies ?? {}))
+  /** @param {any} x */
+  const show = x => (base.format ? base.format(x) : String(x))
+
+  /**
+   * Returns the decimal places of a currency's minor unit, e.g. 2 for USD
+   * @param {string} currency - ISO 4217 code, or one from options.currencies
+   * @returns {number}
+   */
+  const decimalPlaces = currency => {
+    let dp = minorUnits.get(currency)
+    if (dp === undefined) {
+      try {
+        const format = new Intl.NumberFormat('en', { style: 'currency', currency })
+        dp = /** @type {number} */ (format.resolvedOptions().maximumFractionDigits)
+      } catch {
+        throw new RangeError(`Unknown currency: ${currency}`)
+      }
+      minorUnits.set(currency, dp)
+    }
+    return dp
+  }
+
+  /**
+   * @param {any} amount
+   * @param {string | null} currency - null for plain numbers
+   * @returns {Money<any>}
+   */
+  const money = (amount, currency) => ({ amount, currency })
+  /** @param {Money<any>} x */
+  const describe = x => x.currency ?? 'a plain number'
+  /**
+   * Requires matching currencies
+   * @param {Money<any>} x
+   * @param {Money<any>} y
+   * @param {string} action - e.g. 'add'
+   * @returns {string | null}
+   */
+  const same = (x, y, action) => {
+    assert(x.currency === y.currency, `Cannot ${action} ${describe(x)} and ${describe(y)}`)
+    return x.currency
+  }
+  /**
+   * Requires matching currencies, or a plain number on either side
+   * @param {Money<any>} x
+   * @param {Money<any>} y
+   */
+  const comparable = (x, y) => {
+    assert(
+      x.currency === null || y.currency === null || x.currency === y.currency,
+      `Cannot compare ${x.currency} and ${y.currency}`
+    )
+  }
+
+  /**
+   * Checks for money created by from(), or with an amount of the base library
+   * @param {any} x
+   * @returns {x is Money<any>}
+   */
+  const isMoney = x =>
+    x !== null &&
+    typeof x === 'object' &&
+    base.isInstance(x.amount) &&
+    (x.currency === null || typeof x.currency === 'string')
+  /** @type {(x: any) => boolean} */
+  const isAmount = x => base.isInstance(x)
+
+  /** @type {DecimalAdapter<Money<any>>} */
+  const adapter = {
+    name: 'money',
+    library: base.library,
+    /** @param {any} x */
+    from(x) {
+      if (isMoney(x)) return x
+      if (x !== null && typeof x === 'object' && !isAmount(x) && 'currency' in x) {
+        assert(
+          typeof x.currency === 'string',
+          `Money values require a currency code, got ${String(x.currency)}`
+        )
+        return money(base.from(x.amount), x.currency)
+      }
+      return money(base.from(x), null)
+    },
+    isInstance: isMoney,
+    add: (x, y) => money(base.add(x.amount, y.amount), same(x, y, 'add')),
+    sub: (x, y) => money(base.sub(x.amount, y.amount), same(x, y, 'subtract')),
+    mul(x, y) {
+      assert(
+        x.currency === null || y.currency === null,
+        `Cannot multiply ${x.currency} by ${y.currency}`
+      )
+      return money(base.mul(x.amount, y.amount), x.currency ?? y.currency)
+    },
+    div(x, y) {
+      assert(
+        y.currency === null || y.currency === x.currency,
+        `Cannot divide ${describe(x)} by ${describe(y)}`
+      )
+      // Dividing amounts of the same currency gives a plain ratio
+      return money(base.div(x.amount, y.amount), y.currency === null ? x.currency : null)
+    },
+    neg: x => money(base.neg(x.amount), x.currency),
+    lt: (x, y) => (comparable(x, y), base.lt(x.amount, y.amount)),
+    lte: (x, y) => (comparable(x, y), base.lte(x.amount, y.amount)),
+    eq: (x, y) => (comparable(x, y), base.eq(x.amount, y.amount)),
+    gt: (x, y) => (comparable(x, y), base.gt(x.amount, y.amount)),
+    gte: (x, y) => (comparable(x, y), base.gte(x.amount, y.amount)),
+    toDecimalPlaces: (x, dp) => money(base.toDecimalPlaces(x.amount, dp), x.currency),
+    toResult(x, dp) {
+      const amount = dp === undefined ? x.amount : base.toDecimalPlaces(x.amount, dp)
+      return x.currency === null
+        ? amount
+        : money(base.toDecimalPlaces(amount, decimalPlaces(x.currency)), x.currency)
+    },
+    format: x => (x.currency === null ? show(x.amount) : `${show(x.amount)} ${x.currency}`),
+    toJSON: x =>
+      x.currency === null ? String(x.amount) : { amount: String(x.amount), currency: x.currency },
+  }
+
+  const { mod, pow, configure } = base
+  if (mod) {
+    adapter.mod = (x, y) => {
+      assert(
+        y.currency === null || y.currency === x.currency,
+        `Cannot divide ${describe(x)} by ${describe(y)}`
+      )
+      return money(mod(x.amount, y.amount), x.currency)
+    }
+  }
+  if (pow) {
+    adapter.pow = (x, y) => {
+      assert(
+        x.currency === null && y.currency === null,
+        `'**' requires plain numbers, not ${x.currency ?? y.currency}`
+      )
+      return money(pow(x.amount, y.amount), null)
+    }
+  }
+  if (configure) {
+    adapter.configure = config => moneyAdapter(configure(config), options)
+  }
+
+  const baseFunctions = { ...BUILTIN_FUNCTIONS, ...base.functions }
+  /** @type {Record<string, FunctionDefinition | null>} */
+  const rounding = {}
+  for (const name of ['ceil', 'floor', 'trunc', 'round']) {
+    const definition = baseFunctions[name]
+    rounding[name] = definition && {
+      ...definition,
+      fn: (x, ...args) =>
+        money(
+          definition.fn.call(base.library, x.amount, ...args.map(arg => arg.amount)),
+          x.currency
+        ),
+    }
+  }
+  const trunc = baseFunctions.trunc
+
+  adapter.functions = {
+    ...adapterFunctions(adapter),
+    ...rounding,
+    allocate: {
+      arity: 2,
+      args: ['scalar', 'array'],
+      usage: 'allocate(total, ratios)',
+      /**
+       * @param {Money<any>} total
+       * @param {any[]} ratios
+       */
+      fn(total, ratios) {
+        assert(trunc, `allocate() requires trunc()`)
+        const weights = ratios.map(ratio => {
+          const weight = adapter.from(ratio)
+          assert(
+            weight.currency === null && base.gte(weight.amount, base.from(0)),
+            `allocate() ratios must be non-negative plain numbers`
+          )
+          return weight.amount
+        })
+        const sum = weights.reduce((acc, x) => base.add(acc, x), base.from(0))
+        assert(base.gt(sum, base.from(0)), `allocate() requires a positive ratio`)
+
+        // Truncate each share to minor units, then hand out the remaining units in order
+        const dp = base.from(total.currency === null ? 0 : decimalPlaces(total.currency))
+        const shares = weights.map(weight =>
+          trunc.fn.call(base.library, base.div(base.mul(total.amount, weight), sum), dp)
+        )
+        const unit = base.from(`1e-${dp}`)
+        const remainder = shares.reduce((acc, x) => base.sub(acc, x), total.amount)
+        const count = Number(String(base.div(remainder, unit)))
+        for (let i = 0; i < Math.abs(count); i++) {
+          shares[i] = count > 0 ? base.add(shares[i], unit) : base.sub(shares[i], unit)
+        }
+
+        return shares.map(share => money(share, total.currency))
+      },
+    },
+  }
+  return adapter
+}
+
+/**
+ * Reads a unit expression, e.g. USD/kWh, from tokens starting at a unit name
+ * @param {Token[]} tokens
+ * @param {number} pos - Index of the first unit name
+ * @param {(name: string) => boolean} isUnit
+ * @returns {{ unit: string, end: number }} Normalized unit and index of the next token
+ */
+function readUnit(tokens, pos, isUnit) {
+  let unit = /** @type {string} */ (tokens[pos].value)
+  pos++
+
+  while (true) {
+    const [op, name, next] = tokens.slice(pos, pos + 3)
+    if (
+      op.type !== 'OPERATOR' ||
+      (op.value !== '*' && op.value !== '/') ||
+      name?.type !== 'IDENTIFIER' ||
+      !isUnit(name.value) ||
+      next?.type === 'LPAREN'
+    ) {
+      return { unit, end: pos }
+    }
+    unit += op.value + name.value
+    pos += 2
+  }
+}
+
+/**
+ * @param {Dimensions} dimensions
+ * @returns {boolean}
+ */
+function isDimensionless(dimensions) {
+  return Object.keys(dimensions).length === 0
+}
+
+/**
+ * @param {Dimensions} a
+ * @param {Dimensions} b
+ * @returns {boolean}
+ */
+function sameDimensions(a, b) {
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key])
+}
+
+/**
+ * Multiplies dimensions, raising b to a power
+ * @param {Dimensions} a
+ * @param {Dimensions} b
+ * @param {number} exponent - 1 to multiply, -1 to divide
+ * @returns {Dimensions}
+ */
+function combineDimensions(a, b, exponent) {
+  /** @type {Dimensions} */
+  const result = { ...a }
+  for (const [unit, power] of Object.entries(b)) {
+    result[unit] = (result[unit] ?? 0) + power * exponent
+    if (result[unit] === 0) delete result[unit]
+  }
+  return result
+}
+
+/**
+ * Formats dimensions as base units, e.g. 'USD/Wh'
+ * @param {Dimensions} dimensions
+ * @returns {string}
+ */
+function formatDimensions(dimensions) {
+  if (isDimensionless(dimensions)) return 'a plain number'
+
+  /** @param {number} sign */
+  const part = sign =>
+    Object.keys(dimensions)
+      .sort()
+      .flatMap(unit => Array(Math.max(0, sign * dimensions[unit])).fill(unit))
+  const numerator = part(1)
+  const denominator = part(-1)
+  return [numerator.length ? numerator.join('*') : '1', ...denominator].join('/')
+}
+
+/**
+ * Describes the unit of a node for error messages, as written if annotated
+ * @param {ASTNode} node
+ * @param {Dimensions} dimensions
+ * @returns {string}
+ */
+function describeUnit(node, dimensions) {
+  return node.type === 'unit' && node.unit !== '%' ? node.unit : formatDimensions(dimensions)
+}
+
+/**
+ * @param {ASTNode} node
+ * @returns {boolean}
+ */
+function isZeroLiteral(node) {
+  return node.type === 'number' && Number(node.value) === 0
+}
+
+/**
+ * Resolves unit definitions into factors and dimensions in base units
+ * @param {Record<string, UnitDefinition>} definitions - By unit name
+ * @param {DecimalAdapter} adapter - Converts factors
+ * @returns {UnitRegistry}
+ */
+function createUnits(definitions, adapter) {
+  /** @type {Map<string, Unit>} */
+  const resolved = new Map()
+  /** @type {Map<string, Unit>} */
+  const expressions = new Map()
+  /** @type {Set<string>} */
+  const resolving = new Set()
+
+  /** @param {string} name */
+  const has = name => Object.prototype.hasOwnProperty.call(definitions, name)
+
+  /**
+   * @param {string} name
+   * @returns {Unit}
+   */
+  const resolve = name => {
+    let unit = resolved.get(name)
+    if (unit) return unit
+
+    if (resolving.has(name)) throw new TypeError(`Circular unit definition: ${name}`)
+    resolving.add(name)
+    const { factor = 1, unit: expression } = definitions[name]
+    const factorValue = adapter.from(factor)
+    if (expression === undefined) {
+      unit = { factor: factorValue, dimensions: { [name]: 1 } }
+    } else {
+      const { factor: base, dimensions } = get(expression)
+      unit = { factor: adapter.mul(factorValue, base), dimensions }
+    }
+    resolving.delete(name)
+    resolved.set(name, unit)
+    return unit
+  }
+
+  /**
+   * Resolves a unit expression, e.g. 'USD/kWh'
+   * @param {string} expression
+   * @returns {Unit}
+   */
+  const get = expression => {
+    let unit = expressions.get(expression)
+    if (unit) return unit
+
+    const tokens = tokenize([expression])
+    if (tokens[0].type !== 'IDENTIFIER' || !has(tokens[0].value)) {
+      throw new TypeError(`Unknown unit: ${expression}`)
+    }
+    const { end } = readUnit(tokens, 0, has)
+    if (tokens[end].type !== 'EOF') throw new TypeError(`Unknown unit: ${expression}`)
+
+    unit = { factor: adapter.from(1), dimensions: {} }
+    for (let i = 0; i < end; i += 2) {
+      const sign = i > 0 && tokens[i - 1].value === '/' ? -1 : 1
+      const { factor, dimensions } = resolve(/** @type {string} */ (tokens[i].value))
+      unit = {
+        factor: sign > 0 ? adapter.mul(unit.factor, factor) : adapter.div(unit.factor, factor),
+        dimensions: combineDimensions(unit.dimensions, dimensions, sign),
+      }
+    }
+    expressions.set(expression, unit)
+    return unit
+  }
+
+  for (const name of Object.keys(definitions)) {
+    if (!FUNCTION_NAME.test(name)) throw new TypeError(`Invalid unit name: '${name}'`)
+    resolve(name)
+  }
+
+  return { has, get }
+}
+
+/**
+ * Quantity with dimensions, its value in base units
+ */
+class Quantity {
+  /**
+   * @param {any} value - In base units
+   * @param {Dimensions} dimensions
+   * @param {string | null} unit - Unit to convert results to, null for base units
+   */
+  constructor(value, dimensions, unit) {
+    this.value = value
+    this.dimensions = dimensions
+    this.unit = unit
+  }
+}
+
+/**
+ * Adapts another adapter to quantities with units. Values are `{ value, unit }` objects or plain
+ * numbers, and units are checked in '+', '-', '%' and comparisons, except against zero.
+ * @param {DecimalAdapter} base
+ * @param {UnitRegistry} units
+ * @returns {DecimalAdapter<Quantity>}
+ */
+function unitsAdapter(base, units) {
+  /** @param {Quantity} x */
+  const describe = x => x.unit ?? formatDimensions(x.dimensions)
+  /** @param {any} x */
+  const show = x => (base.format ? base.format(x) : String(x))
+  /** @param {Quantity} x */
+  const isZero = x => isDimensionless(x.dimensions) && base.eq(x.value, base.from(0))
+  /**
+   * Requires matching dimensions, zero matches any
+   * @param {Quantity} x
+   * @param {Quantity} y
+   * @param {string} op - Operator for error messages
+   * @returns {Quantity} Operand whose dimensions and unit the result keeps
+   */
+  const match = (x, y, op) => {
+    if (isZero(y)) return x
+    if (isZero(x)) return y
+    assert(
+      sameDimensions(x.dimensions, y.dimensions),
+      `Unit mismatch in '${op}': ${describe(x)} and ${describe(y)}`
+    )
+    return x.unit === null ? y : x
+  }
+  /** @type {(x: any) => boolean} */
+  const isAmount = x => base.isInstance(x)
+
+  /** @type {DecimalAdapter<Quantity>} */
+  const adapter = {
+    name: 'units',
+    library: base.library,
+    /** @param {any} x */
+    from(x) {
+      if (x instanceof Quantity) return x
+      if (x !== null && typeof x === 'object' && !isAmount(x) && 'unit' in x) {
+        const { factor, dimensions } = units.get(x.unit)
+        return new Quantity(base.mul(base.from(x.value), factor), dimensions, x.unit)
+      }
+      return new Quantity(base.from(x), {}, null)
+    },
+    isInstance: x => x instanceof Quantity,
+    add(x, y) {
+      const { dimensions, unit } = match(x, y, '+')
+      return new Quantity(base.add(x.value, y.value), dimensions, unit)
+    },
+    sub(x, y) {
+      const { dimensions, unit } = match(x, y, '-')
+      return new Quantity(base.sub(x.value, y.value), dimensions, unit)
+    },
+    mul: (x, y) =>
+      new Quantity(
+        base.mul(x.value, y.value),
+        combineDimensions(x.dimensions, y.dimensions, 1),
+        isDimensionless(y.dimensions) ? x.unit : isDimensionless(x.dimensions) ? y.unit : null
+      ),
+    div: (x, y) =>
+      new Quantity(
+        base.div(x.value, y.value),
+        combineDimensions(x.dimensions, y.dimensions, -1),
+        isDimensionless(y.dimensions) ? x.unit : null
+      ),
+    neg: x => new Quantity(base.neg(x.value), x.dimensions, x.unit),
+    lt: (x, y) => (match(x, y, '<'), base.lt(x.value, y.value)),
+    lte: (x, y) => (match(x, y, '<='), base.lte(x.value, y.value)),
+    eq: (x, y) => (match(x, y, '=='), base.eq(x.value, y.value)),
+    gt: (x, y) => (match(x, y, '>'), base.gt(x.value, y.value)),
+    gte: (x, y) => (match(x, y, '>='), base.gte(x.value, y.value)),
+    toDecimalPlaces: (x, dp) =>
+      new Quantity(base.toDecimalPlaces(x.value, dp), x.dimensions, x.unit),
+    toResult(x, dp) {
+      /** @param {any} value */
+      const round = value => (dp === undefined ? value : base.toDecimalPlaces(value, dp))
+      if (isDimensionless(x.dimensions)) return round(x.value)
+      if (x.unit === null) return { value: round(x.value), unit: formatDimensions(x.dimensions) }
+      return { value: round(base.div(x.value, units.get(x.unit).factor)), unit: x.unit }
+    },
+    format(x) {
+      if (isDimensionless(x.dimensions)) return show(x.value)
+      const value = x.unit === null ? x.value : base.div(x.value, units.get(x.unit).factor)
+      return `${show(value)} ${describe(x)}`
+    },
+    toJSON(x) {
+      if (isDimensionless(x.dimensions)) return String(x.value)
+      assert(x.unit !== null, `Cannot store ${describe(x)} in a formula, only values with a unit`)
+      return { value: String(base.div(x.value, units.get(x.unit).factor)), unit: x.unit }
+    },
+    unit(x, unit) {
+      const { factor, dimensions } = units.get(unit)
+      if (isDimensionless(x.dimensions)) {
+        return new Quantity(base.mul(x.value, factor), dimensions, unit)
+      }
+      assert(sameDimensions(x.dimensions, dimensions), `Cannot convert ${describe(x)} to ${unit}`)
+      return new Quantity(x.value, x.dimensions, unit)
+    },
+  }
+
+  const { mod, pow } = base
+  if (mod) {
+    adapter.mod = (x, y) => {
+      const { dimensions, unit } = match(x, y, '%')
+      return new Quantity(mod(x.value, y.value), dimensions, unit)
+    }
+  }
+  if (pow) {
+    adapter.pow = (x, y) => {
+      assert(isDimensionless(y.dimensions), `Exponent must be dimensionless, not ${describe(y)}`)
+      if (isDimensionless(x.dimensions)) return new Quantity(pow(x.value, y.value), {}, null)
+
+      const exponent = Number(String(y.value))
+      assert(Number.isInteger(exponent), `Exponent of ${describe(x)} must be an integer`)
+      return new Quantity(
+        pow(x.value, y.value),
+        combineDimensions({}, x.dimensions, exponent),
+        exponent === 1 ? x.unit : null
+      )
+    }
+  }
+
+  // Round in the result unit, not in base units
+  const baseFunctions = { ...BUILTIN_FUNCTIONS, ...base.functions }
+  /** @type {Record<string, FunctionDefinition | null>} */
+  const rounding = {}
+  for (const name of ['ceil', 'floor', 'trunc', 'round']) {
+    const definition = baseFunctions[name]
+    rounding[name] = definition && {
+      ...definition,
+      /** @param {Quantity} x */
+      fn(x, ...args) {
+        const factor = x.unit === null ? base.from(1) : units.get(x.unit).factor
+        const value = definition.fn.call(
+          base.library,
+          base.div(x.value, factor),
+          ...args.map(arg => arg.value)
+        )
+        return new Quantity(base.mul(value, factor), x.dimensions, x.unit)
+      },
+    }
+  }
+
+  adapter.functions = { ...adapterFunctions(adapter), ...rounding }
+  return adapter
+}
+
+/**
+ * Lists template features an adapter can't support: operators without an operation, and
+ * built-in, finance or statistics functions it marks as null or lacks operations for
+ * @param {DecimalAdapter} adapter
+ * @returns {Map<string, string>} Description by operator or function name, e.g. '%' => "'%' operator"
+ */
+export function unsupportedFeatures(adapter) {
+  /** @type {Map<string, string>} */
+  const features = new Map()
+  for (const op of /** @type {const} */ (['%', '**'])) {
+    if (!adapter[BINARY_OPERATIONS[op]]) features.set(op, `'${op}' operator`)
+  }
+  // Adapter functions replace finance and statistics ones
+  const definitions = { ...adapter.functions }
+  const packs = { ...financeFunctions(adapter), ...statisticsFunctions(adapter) }
+  for (const [name, definition] of Object.entries(packs)) {
+    if (!(name in definitions)) definitions[name] = definition
+  }
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (definition === null) features.set(name, `${name}()`)
+  }
+  return features
+}
+
+/**
+ * Returns an adapter for a library configured with precision and rounding
+ * @param {DecimalAdapter} adapter
+ * @param {CreateOptions} options
+ * @returns {DecimalAdapter}
+ */
+function configure(adapter, { precision, rounding }) {
+  if (precision === undefined && rounding === undefined) return adapter
+
+  if (!adapter.configure) {
+    throw new TypeError(
+      `precision and rounding options are not supported by the ${adapter.name} adapter`
+    )
+  }
+  return adapter.configure({ precision, rounding })
+}
+
+/**
+ * Finds a root of f between two bounds where its sign changes. Newton and secant steps leaving
+ * the bracket, or not halving it every other step, are replaced by bisection, so every method
+ * converges. Stops when the bracket is within the tolerance, or can't be split at the library's
+ * precision.
+ * @param {(x: any) => any} f
+ * @param {((x: any) => any) | null} slope - Derivative of f, for Newton's method
+ * @param {SolveOptions & { bounds: [DecimalValue, DecimalValue] }} options
+ * @param {DecimalAdapter} adapter
+ * @param {string} caller - Function name and unknown for errors, e.g. 'solve() ... at r'
+ * @returns {any} Root, null if f has the same sign at both bounds
+ */
+function findRoot(f, slope, options, adapter, caller) {
+  const { method = 'secant', maxIterations = 200 } = options
+  const { from, add, sub, mul, div, lt, lte, gt, eq } = adapter
+  const zero = from(0)
+  const two = from(2)
+  const tolerance = options.tolerance === undefined ? null : from(options.tolerance)
+  /**
+   * @param {any} x
+   * @param {any} fx
+   */
+  const sign = (x, fx) => {
+    if (gt(fx, zero)) return 1
+    if (lt(fx, zero)) return -1
+    assert(eq(fx, zero), `${caller} = ${x} can't be evaluated, choose bounds without it`)
+    return 0
+  }
+
+  /**
+   * Evaluates f at a bound, or slightly inward when it can't be evaluated there, e.g. at r = 0
+   * in a loan payment dividing by r
+   * @param {any} bound
+   * @param {any} inward - Distance to the other bound, signed
+   * @returns {[any, any]}
+   */
+  const atBound = (bound, inward) => {
+    for (const digits of [0, 15, 12, 9, 6]) {
+      try {
+        const x = digits ? add(bound, div(inward, from(`1e${digits}`))) : bound
+        const fx = f(x)
+        // NaN and infinities aren't equal to themselves minus themselves
+        if (eq(sub(fx, fx), zero)) return [x, fx]
+      } catch {
+        // Try further inward
+      }
+    }
+    return [bound, f(bound)]
+  }
+
+  const bounds = options.bounds.map(x => from(x))
+  let [lo, hi] = lt(bounds[0], bounds[1]) ? bounds : [bounds[1], bounds[0]]
+  let flo, fhi
+  ;[lo, flo] = atBound(lo, sub(hi, lo))
+  ;[hi, fhi] = atBound(hi, sub(lo, hi))
+  const [slo, shi] = [sign(lo, flo), sign(hi, fhi)]
+  if (slo === 0) return lo
+  if (shi === 0) return hi
+  if (slo === shi) return null
+
+  let [x, fx, previous, fprevious] = [lo, flo, hi, fhi]
+  // Bracket widths of the last steps
+  const widths = [sub(hi, lo)]
+  for (let i = 0; i < maxIterations; i++) {
+    const middle = div(add(lo, hi), two)
+    if (eq(middle, lo) || eq(middle, hi) || (tolerance && lte(sub(hi, lo), tolerance))) return x
+
+    /** @type {any} */
+    let next = null
+    try {
+      if (method === 'newton') next = sub(x, div(fx, /** @type {Function} */ (slope)(x)))
+      if (method === 'secant') next = sub(x, div(mul(fx, sub(x, previous)), sub(fx, fprevious)))
+    } catch {
+      // Division by zero, bisect instead
+    }
+    const { length } = widths
+    const slow = length > 2 && gt(mul(widths[length - 1], two), widths[length - 3])
+    // Outside the bracket also catches NaN
+    if (next === null || !(gt(next, lo) && lt(next, hi)) || slow) next = middle
+
+    const fnext = f(next)
+    const s = sign(next, fnext)
+    if (s === 0 || eq(next, x)) return next
+    if (s === slo) lo = next
+    else hi = next
+    ;[previous, fprevious, x, fx] = [x, fx, next, fnext]
+    widths.push(sub(hi, lo))
+  }
+
+  throw new Error(`${caller} did not converge in ${maxIterations} iterations`)
+}
+
+/**
+ * Creates math and is functions that cache compiled AST, and compile and evaluate functions
+ * for expressions with named variables
+ * @param {DecimalConstructor | DecimalAdapter} DecimalConstructor - decimal.js-compatible
+ *   constructor, or an adapter for another numeric library
+ * @param {CreateOptions} [options]
+ */
+export function create(DecimalConstructor, options = {}) {
+  const base =
+    typeof DecimalConstructor === 'function'
+      ? decimalAdapter(DecimalConstructor)
+      : DecimalConstructor
+  const configured = configure(base, options)
+  const units = options.units ? createUnits(options.units, configured) : null
+  const adapter = units ? unitsAdapter(configured, units) : configured
+  const { resultDecimalPlaces } = options
+  const input = inputPolicy(options.input)
+  const functions = resolveFunctions({
+    ...financeFunctions(adapter),
+    ...statisticsFunctions(adapter),
+    ...adapter.functions,
+    ...options.functions,
+  })
+  const unsupported = new Map(
+    [...unsupportedFeatures(adapter)]
+      .filter(([name]) => !functions.has(name))
+      .map(([name, feature]) => [
+        name,
+        `${feature} is not supported by the ${adapter.name} adapter`,
+      ])
+  )
+  // Templates by mode, so math, is, compile and parse share parsing
+  /** @type {Record<'math' | 'is' | 'any', WeakMap<ReadonlyArray<string>, CompiledTemplate>>} */
+  const templateCache = { math: new WeakMap(), is: new WeakMap(), any: new WeakMap() }
+  /** @type {Map<string, CompiledTemplate>} */
+  const sourceCache = new Map()
+  /** @type {WeakMap<ASTNode, CompiledTemplate>} */
+  const treeCache = new WeakMap()
+  /** @type {WeakMap<ReadonlyArray<string>, Equation>} */
+  const equationCache = new WeakMap()
+  /** @type {Map<string, ReturnType<typeof create>>} */
+  const instances = new Map()
+
+  /**
+   * Parses and compiles a template
+   * @param {ReadonlyArray<string>} template - Template strings
+   * @param {'math' | 'is' | 'any'} mode
+   * @param {Set<string> | null} variables - Declared variables, null allows any
+   * @returns {CompiledTemplate}
+   */
+  function prepare(template, mode, variables) {
+    return compileTree(parseTemplate(template, mode, functions, variables, unsupported, units))
+  }
+
+  /**
+   * Compiles a syntax tree as written. Literal-only arithmetic isn't folded ahead of time, as it
+   * rounds at the precision in effect when evaluated, like explain() does.
+   * @param {ASTNode} ast
+   * @returns {CompiledTemplate}
+   */
+  function compileTree(ast) {
+    return {
+      ast,
+      evaluate: compileAST(ast, adapter, functions),
+      paths: valuePaths(ast),
+      variables: variableSlots(ast),
+    }
+  }
+
+  /**
+   * Returns a cached compiled template. Tags in 'math' and 'is' mode don't allow names.
+   * @param {ReadonlyArray<string>} template
+   * @param {'math' | 'is' | 'any'} mode
+   * @returns {CompiledTemplate}
+   */
+  function fromTemplate(template, mode) {
+    const cache = templateCache[mode]
+    let compiled = cache.get(template)
+
+    if (!compiled) {
+      compiled = prepare(template, mode, mode === 'any' ? null : NO_VARIABLES)
+      cache.set(template, compiled)
+    }
+
+    return compiled
+  }
+
+  /**
+   * Returns a cached compiled string expression
+   * @param {string} source
+   * @param {CompileOptions} [compileOptions]
+   * @returns {CompiledTemplate}
+   */
+  function fromSource(source, { mode = 'any', variables } = {}) {
+    const key = JSON.stringify([mode, variables ?? null, source])
+    let compiled = sourceCache.get(key)
+
+    if (!compiled) {
+      compiled = prepare([source], mode, variables ? new Set(variables) : null)
+      // Sources may come from data, keep the cache bounded
+      if (sourceCache.size >= SOURCE_CACHE_SIZE) {
+        sourceCache.delete(/** @type {string} */ (sourceCache.keys().next().value))
+      }
+      sourceCache.set(key, compiled)
+    }
+
+    return compiled
+  }
+
+  /**
+   * Rounds Decimal results to the configured decimal places
+   * @template {DecimalInstance | DecimalInstance[] | boolean} T
+   * @param {T} result
+   * @returns {T}
+   */
+  function finish(result) {
+    const { toResult } = adapter
+    if (typeof result === 'boolean' || (resultDecimalPlaces === undefined && !toResult)) {
+      return result
+    }
+    /** @param {DecimalInstance} x */
+    const output = x =>
+      toResult
+        ? toResult(x, resultDecimalPlaces)
+        : adapter.toDecimalPlaces(x, /** @type {number} */ (resultDecimalPlaces))
+    return /** @type {T} */ (Array.isArray(result) ? result.map(output) : output(result))
+  }
+
+  /**
+   * Binds a compiled template to interpolated values, returning a function of scope
+   * @param {CompiledTemplate} compiled
+   * @param {Array<DecimalValue | DecimalInstance | DecimalInstance[]>} values - Raw values
+   * @param {ReadonlyArray<string>} [template] - Template strings, to point at rejected values
+   * @returns {(scope?: Record<string, any>) => DecimalInstance | DecimalInstance[] | boolean}
+   */
+  function bind(compiled, values, template) {
+    const processedValues = preprocessValues(values, adapter, compiled.paths, { input, template })
+    return (scope = {}) =>
+      finish(
+        compiled.evaluate(
+          processedValues,
+          preprocessVariables(scope, compiled.variables, adapter, input)
+        )
+      )
+  }
+
+  /**
+   * Returns functions bound to a clone of the constructor with more options, created once per
+   * distinct config
+   * @param {CreateOptions} config - Precision, rounding and result decimal places
+   */
+  function withConfig(config) {
+    const key = JSON.stringify([config.precision, config.rounding, config.resultDecimalPlaces])
+    let instance = instances.get(key)
+
+    if (!instance) {
+      // Configure the original library, so unset options keep its defaults
+      instance = create(base, { ...options, ...config })
+      instances.set(key, instance)
+    }
+
+    return instance
+  }
+
+  /**
+   * @param {TemplateStringsArray} template
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {DecimalInstance} Array of Decimals for array-valued expressions
+   */
+  function math(template, ...values) {
+    const compiled = fromTemplate(template, 'math')
+    const processedValues = preprocessValues(values, adapter, compiled.paths, { input, template })
+    return /** @type {DecimalInstance} */ (finish(compiled.evaluate(processedValues, new Map())))
+  }
+
+  /**
+   * Evaluates a template with the interpreter, tracing each node for explain()
+   * @param {TemplateStringsArray} template
+   * @param {'math' | 'is'} mode
+   * @param {Array<DecimalValue | DecimalInstance | DecimalInstance[]>} values
+   */
+  function explain(template, mode, values) {
+    const compiled = fromTemplate(template, mode)
+    const processedValues = preprocessValues(values, adapter, compiled.paths, { input, template })
+    /** @type {Trace} */
+    const trace = new Map()
+    const result = interpret(compiled.ast, processedValues, adapter, functions, new Map(), trace)
+    /**
+     * @param {DecimalInstance | DecimalInstance[] | boolean} x
+     * @returns {string}
+     */
+    const format = x => {
+      if (typeof x === 'boolean') return String(x)
+      if (Array.isArray(x)) return `[${x.map(format).join(', ')}]`
+      return adapter.format ? adapter.format(x) : String(x)
+    }
+    const step = explainNode(compiled.ast, trace, format)
+    return {
+      result: mode === 'math' ? finish(result) : result,
+      trace: step,
+      toString: () => formatStep(step),
+      toJSON: () => step,
+    }
+  }
+
+  /**
+   * Returns math bound to a clone of the constructor, e.g. math.with({ precision: 50 })
+   * @param {CreateOptions} config
+   */
+  math.with = config => withConfig(config).math
+
+  /**
+   * Evaluates like math, also returning the derivation, e.g. for audit trails
+   * @param {TemplateStringsArray} template
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {Explanation<DecimalInstance>}
+   */
+  math.explain = (template, ...values) =>
+    /** @type {Explanation<DecimalInstance>} */ (explain(template, 'math', values))
+
+  /**
+   * @param {TemplateStringsArray} template
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {boolean}
+   */
+  function is(template, ...values) {
+    const compiled = fromTemplate(template, 'is')
+    const processedValues = preprocessValues(values, adapter, compiled.paths, { input, template })
+    return /** @type {boolean} */ (compiled.evaluate(processedValues, new Map()))
+  }
+
+  /**
+   * Returns is bound to a clone of the constructor, e.g. is.with({ precision: 50 })
+   * @param {CreateOptions} config
+   */
+  is.with = config => withConfig(config).is
+
+  /**
+   * Evaluates like is, also returning the derivation with both sides of comparisons
+   * @param {TemplateStringsArray} template
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {Explanation<boolean>}
+   */
+  is.explain = (template, ...values) =>
+    /** @type {Explanation<boolean>} */ (explain(template, 'is', values))
+
+  /**
+   * Compiles a template ahead of time, throwing its syntax errors. For build plugins, which
+   * emit precompiled() calls with the result.
+   * @param {ReadonlyArray<string>} template
+   * @param {'math' | 'is'} mode
+   * @returns {PrecompiledTemplate | null} Null if only the interpreter can evaluate it
+   */
+  function precompile(template, mode) {
+    return compileSource(prepare(template, mode, NO_VARIABLES).ast, functions)
+  }
+
+  /**
+   * Caches a template compiled ahead of time, so evaluating it skips parsing. Templates calling
+   * functions this instance doesn't have are parsed when evaluated instead.
+   * @param {ReadonlyArray<string>} strings - Template strings
+   * @param {'math' | 'is'} mode
+   * @param {LinkableTemplate} precompiled
+   * @returns {TemplateStringsArray} Template to evaluate, e.g. math(template, ...values)
+   */
+  function register(strings, mode, { evaluate, ...precompiled }) {
+    const template = /** @type {TemplateStringsArray} */ (
+      Object.freeze(Object.assign([...strings], { raw: Object.freeze([...strings]) }))
+    )
+    if (!precompiled.functions.every(name => functions.has(name))) return template
+
+    /** @type {ASTNode | undefined} */
+    let ast
+    /** @type {CompiledTemplate} */
+    const compiled = {
+      // Parsed for explain(), print() and errors only
+      get ast() {
+        return (ast ??= prepare(template, mode, NO_VARIABLES).ast)
+      },
+      evaluate: link(evaluate, precompiled, adapter, functions, (values, variables) =>
+        interpret(compiled.ast, values, adapter, functions, variables)
+      ),
+      paths: precompiled.paths?.map(path => path ?? undefined),
+      variables: [],
+    }
+    templateCache[mode].set(template, compiled)
+    return template
+  }
+
+  /**
+   * Compiles a math template ahead of time, see precompile()
+   * @param {ReadonlyArray<string>} template
+   */
+  math.precompile = template => precompile(template, 'math')
+
+  /**
+   * Caches a precompiled math template, see register()
+   * @param {ReadonlyArray<string>} strings
+   * @param {LinkableTemplate} precompiled
+   */
+  math.precompiled = (strings, precompiled) => register(strings, 'math', precompiled)
+
+  /**
+   * Compiles an is template ahead of time, see precompile()
+   * @param {ReadonlyArray<string>} template
+   */
+  is.precompile = template => precompile(template, 'is')
+
+  /**
+   * Caches a precompiled is template, see register()
+   * @param {ReadonlyArray<string>} strings
+   * @param {LinkableTemplate} precompiled
+   */
+  is.precompiled = (strings, precompiled) => register(strings, 'is', precompiled)
+
+  /**
+   * Compiles an expression with named variables into a reusable function of scope. Either a
+   * string, with optional declared variables checked at compile time, or a tagged template
+   * @overload
+   * @param {string} source - Expression, e.g. 'price * (1 + taxRate)'
+   * @param {CompileOptions} [compileOptions]
+   * @returns {(scope?: Record<string, any>) => DecimalInstance | DecimalInstance[] | boolean}
+   */
+  /**
+   * @overload
+   * @param {TemplateStringsArray} source
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {(scope?: Record<string, any>) => DecimalInstance | DecimalInstance[] | boolean}
+   */
+  /**
+   * @overload
+   * @param {ASTNode} source - Syntax tree, e.g. from derivative(), with values for its ${index}
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {(scope?: Record<string, any>) => DecimalInstance | DecimalInstance[] | boolean}
+   */
+  /**
+   * @param {string | TemplateStringsArray | ASTNode} source
+   * @param {...any} rest
+   */
+  function compile(source, ...rest) {
+    if (typeof source === 'string') return bind(fromSource(source, rest[0]), [])
+    if (Array.isArray(source)) return bind(fromTemplate(source, 'any'), rest, source)
+
+    const ast = /** @type {ASTNode} */ (source)
+    let compiled = treeCache.get(ast)
+    if (!compiled) {
+      compiled = compileTree(ast)
+      treeCache.set(ast, compiled)
+    }
+    return bind(compiled, rest)
+  }
+
+  /**
+   * Evaluates a string expression with variables from scope
+   * @param {string} source - Expression, e.g. 'price * (1 + taxRate)'
+   * @param {Record<string, any>} [scope] - Variable values
+   * @param {CompileOptions} [compileOptions]
+   * @returns {DecimalInstance | DecimalInstance[] | boolean}
+   */
+  function evaluate(source, scope = {}, compileOptions) {
+    return compile(source, compileOptions)(scope)
+  }
+
+  /**
+   * Returns the syntax tree of a string expression or template, from the same cache math, is and
+   * compile use, so it matches what they evaluate
+   * @param {string | ReadonlyArray<string>} source - Expression, or template strings
+   * @param {CompileOptions} [compileOptions] - Mode, and declared variables of a string
+   * @returns {ASTNode}
+   */
+  function parse(source, compileOptions = {}) {
+    return typeof source === 'string'
+      ? fromSource(source, compileOptions).ast
+      : fromTemplate(source, compileOptions.mode ?? 'any').ast
+  }
+
+  /**
+   * Parses a string or template strings, or passes a syntax tree through
+   * @param {string | ReadonlyArray<string> | ASTNode} source
+   * @param {CompileOptions} [compileOptions]
+   * @returns {ASTNode}
+   */
+  function toTree(source, compileOptions) {
+    return typeof source === 'string' || Array.isArray(source)
+      ? parse(/** @type {string | ReadonlyArray<string>} */ (source), compileOptions)
+      : /** @type {ASTNode} */ (source)
+  }
+
+  /**
+   * Folds constants and removes identities like x * 1 and x + 0
+   * @param {string | ReadonlyArray<string> | ASTNode} source - Expression, template strings or tree
+   * @param {CompileOptions} [compileOptions]
+   * @returns {ASTNode}
+   */
+  function simplify(source, compileOptions) {
+    return simplifyAST(toTree(source, compileOptions), adapter, functions)
+  }
+
+  /**
+   * Differentiates a numeric expression by an interpolated value or a variable, simplified
+   * @param {string | ReadonlyArray<string> | ASTNode} source - Expression, template strings or tree
+   * @param {number | string} target - Value index, or variable name with optional path
+   * @param {CompileOptions} [compileOptions]
+   * @returns {ASTNode}
+   */
+  function derivative(source, target, compileOptions) {
+    const ast = inlineLets(toTree(source, compileOptions))
+    assert(kindOf(ast) === 'number', 'derivative() requires a numeric expression, not a comparison')
+    /** @type {(node: ASTNode) => boolean} */
+    const isTarget =
+      typeof target === 'number'
+        ? node => node.type === 'value' && node.index === target
+        : node => node.type === 'variable' && variableKey(node) === target
+    return simplifyAST(differentiate(ast, isTarget, functions), adapter, functions)
+  }
+
+  /**
+   * Compiles an equation's difference of sides, and its derivative on demand
+   * @param {TemplateStringsArray} template
+   */
+  function equation(template) {
+    let cached = equationCache.get(template)
+
+    if (!cached) {
+      const { ast, variables } = fromTemplate(template, 'any')
+      const unknown = variables.map(slot => slot.key).join(', ') || 'none'
+      assert(
+        variables.length === 1 && !variables[0].path,
+        `solve() requires one unknown name, e.g. \${p} * (1 + r) == \${total}, found: ${unknown}`
+      )
+      const tree = inlineLets(ast)
+      assert(
+        kindOf(tree) === 'number' || (tree.type === 'binary' && tree.op === '=='),
+        `solve() requires an equation with '==', e.g. \${p} * (1 + r) == \${total}`
+      )
+      const difference =
+        tree.type === 'binary' && tree.op === '==' ? binary('-', tree.left, tree.right) : tree
+      const { name } = variables[0]
+      /** @type {CompiledTemplate | undefined} */
+      let slope
+      cached = {
+        name,
+        difference: compileTree(difference),
+        slope: () => (slope ??= compileTree(derivative(difference, name))),
+      }
+      equationCache.set(template, cached)
+    }
+
+    return cached
+  }
+
+  /**
+   * Finds the unknown name's value satisfying an equation
+   * @param {SolveOptions} solveOptions
+   * @param {TemplateStringsArray} template
+   * @param {Array<DecimalValue | DecimalInstance | DecimalInstance[]>} values
+   * @returns {DecimalInstance}
+   */
+  function solveWith(solveOptions, template, values) {
+    const { name, difference, slope } = equation(template)
+    const processedValues = preprocessValues(values, adapter, difference.paths, { input, template })
+    /**
+     * @param {CompiledTemplate} compiled
+     * @returns {(x: DecimalInstance) => DecimalInstance}
+     */
+    const at = compiled => x => {
+      const result = compiled.evaluate(processedValues, new Map([[name, x]]))
+      assert(adapter.isInstance(result), 'solve() requires an equation of numbers, not arrays')
+      return /** @type {DecimalInstance} */ (result)
+    }
+    const derivativeAt = solveOptions.method === 'newton' ? at(slope()) : null
+    const bounds = solveOptions.bounds ?? SOLVE_BOUNDS
+    const options = { ...solveOptions, bounds }
+    const root = findRoot(at(difference), derivativeAt, options, adapter, `solve() at ${name}`)
+    assert(
+      root !== null,
+      `solve() found no root of ${name} between ${bounds.join(' and ')}: the sides of the ` +
+        `equation compare the same way at both, set bounds bracketing the solution`
+    )
+    return finish(root)
+  }
+
+  /**
+   * Solves an equation for its one unknown name, e.g. solve`${p} * (1 + r) ** ${n} == ${fv}`
+   * @param {TemplateStringsArray} template
+   * @param {...(DecimalValue | DecimalInstance | DecimalInstance[])} values
+   * @returns {DecimalInstance}
+   */
+  function solve(template, ...values) {
+    return solveWith({}, template, values)
+  }
+
+  /**
+   * Returns solve with bounds, tolerance, maxIterations and method, or precision and rounding
+   * @param {SolveOptions & CreateOptions} solveOptions
+   * @returns {(template: TemplateStringsArray, ...values: any[]) => DecimalInstance}
+   */
+  solve.with = solveOptions => {
+    const { bounds, tolerance, maxIterations, method, ...config } = solveOptions
+    assert(
+      method === undefined || SOLVE_METHODS.includes(method),
+      `Unknown solve() method: ${method}, expected ${SOLVE_METHODS.join(', ')}`
+    )
+    const rest = { bounds, tolerance, maxIterations, method }
+    if (Object.keys(config).length > 0) return withConfig(config).solve.with(rest)
+    return (template, ...values) => solveWith(rest, template, values)
+  }
+
+  /** @type {WeakMap<Formula, (scope?: Record<string, any>) => any>} */
+  const formulaCache = new WeakMap()
+
+  /**
+   * Evaluates a formula, compiling it on first use
+   * @param {Formula} formula
+   * @param {Record<string, any>} inputs
+   * @returns {DecimalInstance | DecimalInstance[] | boolean}
+   */
+  function runFormula(formula, inputs) {
+    let evaluate = formulaCache.get(formula)
+    if (!evaluate) {
+      evaluate = compile(formula.ast, .../** @type {any[]} */ (formula.values))
+      formulaCache.set(formula, evaluate)
+    }
+    return evaluate(inputs)
+  }
+
+  /** @type {(value: DecimalInstance) => FormulaValue} */
+  const serialize = adapter.toJSON ? value => /** @type {any} */ (adapter).toJSON(value) : String
+
+  /**
+   * A parsed expression with its interpolated values, which can be stored as JSON and evaluated
+   * with named inputs, e.g. Formula.from`${fee} + amount * ${rate}`
+   */
+  class Formula {
+    /**
+     * @param {ASTNode} ast - Syntax tree, interpolated values without paths
+     * @param {Array<FormulaValue | FormulaValue[]>} [values] - Interpolated values
+     */
+    constructor(ast, values = []) {
+      assert(Array.isArray(values), 'Invalid formula: values must be an array')
+      validateAST(ast, functions, values.length, units)
+      /** @param {any} value */
+      const normalize = value => {
+        assert(
+          typeof value === 'string' ||
+            (value !== null && typeof value === 'object' && !Array.isArray(value)),
+          `Invalid formula: values must be decimal strings, found ${typeof value}`
+        )
+        return serialize(adapter.from(value))
+      }
+      this.ast = ast
+      /** @type {Array<FormulaValue | FormulaValue[]>} */
+      this.values = values.map(value =>
+        Array.isArray(value) ? value.map(normalize) : normalize(value)
+      )
+      /** Names the formula reads from inputs */
+      this.inputs = references(ast).variables
+      /** Hash of the syntax tree and values, equal for equal formulas */
+      this.hash = fnv1a(canonicalJSON([this.ast, this.values]))
+    }
+
+    /**
+     * Creates a formula from a string, a tagged template or a syntax tree, like compile()
+     * @param {string | TemplateStringsArray | ASTNode} source
+     * @param {...any} rest - Compile options of a string, values of a template or tree
+     * @returns {Formula}
+     */
+    static from(source, ...rest) {
+      if (typeof source === 'string') return new Formula(parse(source, rest[0]))
+
+      const template = Array.isArray(source) ? source : undefined
+      const ast = toTree(source)
+      const values = preprocessValues(rest, adapter, valuePaths(ast), { input, template })
+      /**
+       * @param {ASTNode} node
+       * @returns {ASTNode}
+       */
+      const resolved = node =>
+        node.type === 'value' ? { type: 'value', index: node.index } : mapChildren(node, resolved)
+      return new Formula(
+        resolved(ast),
+        values.map(value => (Array.isArray(value) ? value.map(serialize) : serialize(value)))
+      )
+    }
+
+    /**
+     * Restores a formula from toJSON() output, checking it against this instance's functions
+     * @param {FormulaJSON | string} json - Object or JSON string
+     * @returns {Formula}
+     */
+    static fromJSON(json) {
+      const data = typeof json === 'string' ? JSON.parse(json) : json
+      assert(
+        data?.version === FORMULA_VERSION,
+        `Formula version ${data?.version} isn't supported, expected ${FORMULA_VERSION}`
+      )
+      return new Formula(data.ast, data.values)
+    }
+
+    /**
+     * Evaluates a numeric formula like math
+     * @param {Record<string, any>} [inputs] - Values of names
+     * @returns {DecimalInstance}
+     */
+    evaluate(inputs = {}) {
+      assert(
+        kindOf(this.ast) === 'number',
+        'evaluate() requires a numeric formula, use test() for comparisons'
+      )
+      return /** @type {DecimalInstance} */ (runFormula(this, inputs))
+    }
+
+    /**
+     * Evaluates a comparison formula like is
+     * @param {Record<string, any>} [inputs] - Values of names
+     * @returns {boolean}
+     */
+    test(inputs = {}) {
+      assert(
+        kindOf(this.ast) === 'boolean',
+        'test() requires a comparison, use evaluate() for numeric formulas'
+      )
+      return /** @type {boolean} */ (runFormula(this, inputs))
+    }
+
+    /**
+     * Whether another formula has the same syntax tree and values
+     * @param {unknown} other
+     * @returns {boolean}
+     */
+    equals(other) {
+      return (
+        other instanceof Formula &&
+        other.hash === this.hash &&
+        canonicalJSON([other.ast, other.values]) === canonicalJSON([this.ast, this.values])
+      )
+    }
+
+    /** @returns {FormulaJSON} */
+    toJSON() {
+      return {
+        version: FORMULA_VERSION,
+        source: print(this.ast),
+        ast: this.ast,
+        values: this.values,
+      }
+    }
+
+    /** Expression with interpolated values as ${index} */
+    toString() {
+      return print(this.ast)
+    }
+  }
+
+  /**
+   * Creates a formula from a string, typing its inputs from the string, see TypedFormula
+   * @template {string} S
+   * @param {S} source - Expression, e.g. 'price * (1 + tax)'
+   * @param {CompileOptions} [compileOptions]
+   * @returns {TypedFormula<S>}
+   */
+  function defineFormula(source, compileOptions) {
+    assert(
+      typeof source === 'string',
+      'defineFormula() requires a string, use Formula.from() for templates and trees'
+    )
+    return /** @type {TypedFormula<S>} */ (Formula.from(source, compileOptions))
+  }
+
+  return {
+    math,
+    is,
+    compile,
+    evaluate,
+    parse,
+    simplify,
+    derivative,
+    solve,
+    Formula,
+    defineFormula,
   }
 }
 
@@ -1,6 +1,48 @@
 import Decimal from 'decimal.js'
-import { create } from './core.js'
+import { create, print, references } from './core.js'
 
-const { math, is } = create(Decimal)
+const {
+  math: untypedMath,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula: define,
+} = create(Decimal)
 
-export { math, is }
+/**
+ * Formula with inputs typed from its source, evaluating to decimal.js Decimals
+ * @template {string} S
+ * @typedef {import('./types').TypedFormula<S, Decimal>} TypedFormula
+ */
+
+/**
+ * Inputs of a formula typed from its source, see TypedFormula
+ * @template {string} S
+ * @typedef {import('./types').FormulaInputs<S, Decimal>} FormulaInputs
+ */
+
+/** Evaluates a template, e.g. math`${price} * (1 + ${tax})` */
+const math = /** @type {import('./types').TypedMath<Decimal>} */ (untypedMath)
+
+/** Creates a formula from a string, typing its inputs and results, e.g. defineFormula('a * b') */
+const defineFormula = /** @type {import('./types').DefineFormula<Decimal>} */ (define)
+
+export {
+  math,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula,
+  print,
+  references,
+}
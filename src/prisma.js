@@ -1,7 +1,63 @@
-import { Decimal } from '@prisma/client/runtime/library'
+import { Decimal, Sql } from '@prisma/client/runtime/library'
 
-import { create } from './core.js'
+import { create, decimalAdapter, print, references, toSQL } from './core.js'
 
-const { math, is } = create(Decimal)
+const {
+  math: untypedMath,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula: define,
+} = create(Decimal)
+const adapter = decimalAdapter(Decimal)
 
-export { math, is }
+/**
+ * Formula with inputs typed from its source, evaluating to Prisma Decimals
+ * @template {string} S
+ * @typedef {import('./types').TypedFormula<S, Decimal>} TypedFormula
+ */
+
+/**
+ * Inputs of a formula typed from its source, see TypedFormula
+ * @template {string} S
+ * @typedef {import('./types').FormulaInputs<S, Decimal>} FormulaInputs
+ */
+
+/** Evaluates a template, e.g. math`${price} * (1 + ${tax})` */
+const math = /** @type {import('./types').TypedMath<Decimal>} */ (untypedMath)
+
+/** Creates a formula from a string, typing its inputs and results, e.g. defineFormula('a * b') */
+const defineFormula = /** @type {import('./types').DefineFormula<Decimal>} */ (define)
+
+/**
+ * Translates a template into a Prisma.sql fragment for $queryRaw, names being columns and
+ * interpolated values parameters, e.g. sql`price * (1 + tax) > ${min}`
+ * @param {TemplateStringsArray} template
+ * @param {...(import('./types').DecimalValue | Decimal)} values
+ * @returns {Sql}
+ */
+function sql(template, ...values) {
+  const { strings, values: params } = toSQL(parse(template), values, adapter, template)
+  return new Sql(strings, params)
+}
+
+export {
+  math,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  Formula,
+  defineFormula,
+  print,
+  references,
+  sql,
+}
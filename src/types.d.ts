@@ -1,20 +1,62 @@
-export type Operator = '<' | '<=' | '==' | '>' | '>=' | '!=' | '+' | '-' | '*' | '/' | '**'
+export type BinaryOperator =
+  | '<'
+  | '<='
+  | '=='
+  | '>'
+  | '>='
+  | '!='
+  | '+'
+  | '-'
+  | '*'
+  | '/'
+  | '%'
+  | '**'
+
+export type LogicalOperator = '&&' | '||'
+
+export type Operator = BinaryOperator | LogicalOperator
 
 export type DecimalValue = string | number | bigint
 
-export type Token =
+export type TokenPosition = { segment: number; offset: number; length: number }
+
+export type Token = (
   | { type: 'VALUE'; value: number }
   | { type: 'NUMBER'; value: string }
   | { type: 'OPERATOR'; value: Operator }
-  | { type: 'FUNCTION'; value: string }
-  | { type: 'LPAREN' | 'RPAREN' | 'COMMA' | 'EOF'; value?: undefined }
+  | { type: 'IDENTIFIER'; value: string }
+  | {
+      type:
+        | 'LPAREN'
+        | 'RPAREN'
+        | 'PERCENT'
+        | 'LBRACKET'
+        | 'RBRACKET'
+        | 'COMMA'
+        | 'DOT'
+        | 'NOT'
+        | 'QUESTION'
+        | 'COLON'
+        | 'ASSIGN'
+        | 'SEMICOLON'
+        | 'EOF'
+      value?: undefined
+    }
+) &
+  TokenPosition
 
 export type ASTNode =
-  | { type: 'value'; index: number }
+  | { type: 'value'; index: number; path?: string[] }
+  | { type: 'variable'; name: string; path?: string[] }
   | { type: 'number'; value: string }
-  | { type: 'unary'; op: '+' | '-'; operand: ASTNode }
-  | { type: 'binary'; op: Operator; left: ASTNode; right: ASTNode }
+  | { type: 'unary'; op: '+' | '-' | '!'; operand: ASTNode }
+  | { type: 'binary'; op: BinaryOperator; left: ASTNode; right: ASTNode }
+  | { type: 'logical'; op: LogicalOperator; left: ASTNode; right: ASTNode }
+  | { type: 'conditional'; test: ASTNode; consequent: ASTNode; alternate: ASTNode }
+  | { type: 'let'; name: string; value: ASTNode; body: ASTNode }
   | { type: 'function'; name: string; args: ASTNode[] }
+  | { type: 'array'; elements: ASTNode[] }
+  | { type: 'unit'; operand: ASTNode; unit: string }
 
 export interface DecimalInstance {
   add(x: DecimalValue | DecimalInstance): DecimalInstance
@@ -39,4 +81,545 @@ export interface DecimalInstance {
 export interface DecimalConstructor {
   new (value: DecimalValue | DecimalInstance | any): DecimalInstance
   sum(...values: Array<DecimalValue | DecimalInstance | any>): DecimalInstance
+  clone?(config: any): DecimalConstructor
+}
+
+/**
+ * Maps template operators and functions to a numeric library. Values are the library's instances,
+ * created only through from()
+ */
+export interface DecimalAdapter<N = any> {
+  /** Library name shown in errors, e.g. 'big.js' */
+  name: string
+  /** Passed as `this` to template functions, e.g. the Big constructor */
+  library: any
+  /** Converts a literal, interpolated value or array element */
+  from(value: DecimalValue | N): N
+  isInstance(value: unknown): value is N
+  add(x: N, y: N): N
+  sub(x: N, y: N): N
+  mul(x: N, y: N): N
+  div(x: N, y: N): N
+  /** '%' operator, unsupported when missing */
+  mod?(x: N, y: N): N
+  /** '**' operator, unsupported when missing */
+  pow?(x: N, y: N): N
+  neg(x: N): N
+  lt(x: N, y: N): boolean
+  lte(x: N, y: N): boolean
+  eq(x: N, y: N): boolean
+  gt(x: N, y: N): boolean
+  gte(x: N, y: N): boolean
+  /** Rounds with the library's rounding mode, for resultDecimalPlaces */
+  toDecimalPlaces(x: N, dp: number): N
+  /** Converts results of math, compile and evaluate, e.g. rounding money to minor units */
+  toResult?(x: N, resultDecimalPlaces?: number): any
+  /** Formats a value in explain() derivations, defaults to String() */
+  format?(x: N): string
+  /** Serializes an interpolated value of a Formula, read back by from(). Defaults to String() */
+  toJSON?(x: N): FormulaValue
+  /** Annotates a plain number with a unit, or converts a quantity, e.g. ${energy} kWh */
+  unit?(x: N, unit: string): N
+  /** Returns an adapter for a library configured with precision and rounding */
+  configure?(config: { precision?: number; rounding?: number }): DecimalAdapter<N>
+  /** Template functions replacing built-ins, null marks a built-in as unsupported */
+  functions?: Record<string, FunctionDefinition | null>
+}
+
+/** Amount of money, or a plain number when currency is null */
+export interface Money<T = DecimalInstance> {
+  amount: T
+  currency: string | null
+}
+
+/** Exponents of base units, e.g. { USD: 1, Wh: -1 } for USD/kWh */
+export type Dimensions = Record<string, number>
+
+export interface UnitDefinition {
+  /** Size in units of `unit`, e.g. 1000 for kWh in Wh. Defaults to 1 */
+  factor?: DecimalValue
+  /** Unit expression the unit is defined in, e.g. 'Wh' or 'J/s'. Omit for a base unit */
+  unit?: string
+}
+
+export interface Unit {
+  /** Size in base units */
+  factor: any
+  dimensions: Dimensions
+}
+
+export interface UnitRegistry {
+  has(name: string): boolean
+  /** Resolves a unit expression, e.g. 'USD/kWh' */
+  get(expression: string): Unit
+}
+
+/** Value with a unit, e.g. { value: 12.5, unit: 'kWh' } */
+export interface Quantity<T = DecimalInstance> {
+  value: T
+  unit: string
+}
+
+export interface MoneyOptions {
+  /** Decimal places of minor units by currency code, e.g. { BTC: 8 }. Defaults to ISO 4217 via Intl */
+  currencies?: Record<string, number>
+}
+
+export type ArgumentKind = 'scalar' | 'array' | 'any'
+
+export interface FunctionDefinition {
+  /** Exact argument count, or [min, max] range with max = Infinity for variadic */
+  arity: number | [min: number, max: number]
+  /** Accepted kind of each argument, the last one repeats. Defaults to 'scalar' */
+  args?: ArgumentKind | ArgumentKind[]
+  /** Signature shown in argument count errors, e.g. 'clamp(value, min, max)' */
+  usage?: string
+  /** Implementation, called with the Decimal constructor (an adapter's library) as `this` */
+  fn: (this: DecimalConstructor, ...args: any[]) => any
+  /** Derivative by the chain rule for derivative(), from arguments and their derivatives */
+  derivative?: DerivativeRule
+}
+
+export type DerivativeRule = (args: ASTNode[], derivatives: ASTNode[]) => ASTNode
+
+export interface ResolvedFunction {
+  name: string
+  min: number
+  max: number
+  kinds: ArgumentKind[]
+  usage?: string
+  fn: (this: DecimalConstructor, ...args: any[]) => any
+  derivative?: DerivativeRule
+}
+
+export interface CreateOptions {
+  /** Template functions to add or override, null removes a built-in */
+  functions?: Record<string, FunctionDefinition | null | undefined>
+  /** Significant digits of results, applied to a clone of the constructor */
+  precision?: number
+  /** Rounding mode, e.g. Decimal.ROUND_HALF_EVEN, applied to a clone of the constructor */
+  rounding?: number
+  /** Decimal places to round math results to */
+  resultDecimalPlaces?: number
+  /** Units for annotations like ${energy} kWh, with dimensions checked */
+  units?: Record<string, UnitDefinition>
+  /** Interpolated values and variables to accept */
+  input?: InputOptions
+}
+
+export interface InputOptions {
+  /** Reject JS numbers, requiring strings, bigints or library values. Defaults to false */
+  strict?: boolean
+  /** Most significant digits of JS numbers that aren't integers, more suggest floating-point error like 0.1 + 0.2. Defaults to 15 */
+  maxDigits?: number
+  /** Accept bigints. Defaults to true */
+  bigint?: boolean
+  /** Accept NaN, Infinity and integers beyond Number.MAX_SAFE_INTEGER, which may have lost precision */
+  unsafeNumbers?: boolean
+  /** Replaces a value, or an array element, before it's checked, e.g. null with 0 */
+  coerce?: (value: any, location: string) => any
+}
+
+/** Input options with their defaults filled in */
+export type InputPolicy = Required<Omit<InputOptions, 'coerce'>> & Pick<InputOptions, 'coerce'>
+
+/** Where an interpolated value or variable comes from, for input errors */
+export interface InputSlot {
+  /** Value or variable, e.g. `${1}`, `${0}.items[2]` or `price` */
+  location: string
+  /** Template strings, to point at the value */
+  template?: ReadonlyArray<string>
+  /** Index of the interpolated value */
+  index?: number
+}
+
+export interface CompileContext {
+  functions: Map<string, ResolvedFunction>
+  /** Literal values */
+  constants: string[]
+  /** Names of called functions */
+  implementations: string[]
+  scalars: Set<number>
+  arrays: Set<number>
+  /** Conditions sending evaluation to the interpreter */
+  guards: Set<string>
+  /** JavaScript locals of let-bound names in scope */
+  locals: Map<string, string>
+  /** Declared JavaScript locals */
+  declarations: string[]
+}
+
+export interface CompileOptions {
+  /** Required result: 'math' for Decimal, 'is' for boolean. Defaults to either */
+  mode?: 'math' | 'is' | 'any'
+  /** Declared variable names, unknown ones are reported at compile time */
+  variables?: string[]
+}
+
+export interface SolveOptions {
+  /** Values of the unknown where the sides of the equation compare differently. Defaults to [0, 1e6] */
+  bounds?: [DecimalValue, DecimalValue]
+  /** Stops when the bracket around the root is this narrow. Defaults to the library's precision */
+  tolerance?: DecimalValue
+  /** Defaults to 200 */
+  maxIterations?: number
+  /** Defaults to 'secant'. Newton uses derivative() */
+  method?: 'bisection' | 'newton' | 'secant'
+}
+
+/** Compiled equation of solve() */
+export interface Equation {
+  /** Unknown name */
+  name: string
+  /** Left side minus right side */
+  difference: CompiledTemplate
+  /** Derivative of difference, compiled on first use */
+  slope: () => CompiledTemplate
+}
+
+/** Results of evaluated nodes, for explain() */
+export type Trace = Map<ASTNode, DecimalInstance | DecimalInstance[] | boolean>
+
+/** Step of a derivation: a node with its operands' values */
+export interface Step {
+  /** Node source, interpolated values as ${index}, e.g. '1 + ${1}' */
+  expression: string
+  /** Node with operands replaced by their values, e.g. '1 + 0.0825' */
+  derivation: string
+  /** Formatted result, e.g. '1.0825' */
+  result: string
+  /** Steps computing the operands */
+  steps: Step[]
+}
+
+/** Result of math.explain and is.explain, with how it was computed */
+export interface Explanation<T> {
+  result: T
+  trace: Step
+  /** Indented derivation, one step per line */
+  toString(): string
+  /** The trace, for JSON.stringify() */
+  toJSON(): Step
+}
+
+/** What an expression uses, see references() */
+export interface References {
+  /** Interpolated value indexes, ascending */
+  values: number[]
+  /** Variable names not bound by let */
+  variables: string[]
+  /** Function names */
+  functions: string[]
+}
+
+/** Interpolated value of a Formula: a decimal string, or money and quantities as objects */
+export type FormulaValue =
+  | string
+  | { amount: string; currency: string }
+  | { value: string; unit: string }
+
+/** Stored form of a Formula, see Formula.fromJSON() */
+export interface FormulaJSON {
+  /** Schema version */
+  version: 1
+  /** Expression for people reading stored formulas, not read back */
+  source: string
+  ast: ASTNode
+  /** Interpolated values */
+  values: Array<FormulaValue | FormulaValue[]>
+}
+
+/** Union of the characters of a string */
+type Characters<
+  S extends string,
+  Found extends string = never,
+> = S extends `${infer C}${infer Rest}` ? Characters<Rest, Found | C> : Found
+
+type Digit = Characters<'0123456789'>
+type NameStart = Characters<'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_'>
+type NameChar = NameStart | Digit
+type Space = ' ' | '\n' | '\r' | '\t'
+
+/**
+ * Argument kinds of built-in functions taking arrays, by position with the last repeating like
+ * FunctionDefinition.args. Other functions take single values.
+ */
+interface ArraySignatures {
+  sum: ['array']
+  min: ['any']
+  max: ['any']
+  avg: ['any']
+  mean: ['any']
+  product: ['any']
+  hypot: ['any']
+  count: ['any']
+  median: ['any']
+  variance: ['any']
+  stddev: ['any']
+  percentile: ['array', 'scalar']
+  weighted_avg: ['array']
+  npv: ['scalar', 'any']
+  irr: ['array']
+  xnpv: ['scalar', 'array', 'array']
+  xirr: ['array']
+  allocate: ['scalar', 'array']
+}
+
+/** Kinds of the arguments of a function call, from the first */
+type Signature<Name extends string> = Name extends keyof ArraySignatures
+  ? ArraySignatures[Name]
+  : ['scalar']
+
+/** Kinds from the next argument on, keeping the last */
+type NextArgument<Kinds extends ArgumentKind[]> = Kinds extends [
+  ArgumentKind,
+  ...infer Rest extends [ArgumentKind, ...ArgumentKind[]],
+]
+  ? Rest
+  : Kinds
+
+/** Kind of the current argument, single values outside function calls */
+type CurrentKind<Stack extends ArgumentKind[][]> = Stack extends [
+  [infer Kind extends ArgumentKind, ...ArgumentKind[]],
+  ...ArgumentKind[][],
+]
+  ? Kind
+  : 'scalar'
+
+/** Kind of a name within an argument, e.g. xs in sum(xs * 2) may be an array or a single value */
+type NestedKind<Kind extends ArgumentKind> = Kind extends 'scalar' ? 'scalar' : 'any'
+
+/** Splits the leading name or number characters off a string */
+type ReadName<S extends string, Name extends string = ''> = S extends `${infer C}${infer Rest}`
+  ? C extends NameChar
+    ? ReadName<Rest, `${Name}${C}`>
+    : [Name, S]
+  : [Name, S]
+
+type SkipSpaces<S extends string> = S extends `${Space}${infer Rest}` ? SkipSpaces<Rest> : S
+
+/** Removes a property path like .total.amount from the start of a string */
+type SkipPath<S extends string> = S extends `.${infer Rest}`
+  ? ReadName<Rest> extends [infer Key extends string, infer After extends string]
+    ? Key extends ''
+      ? S
+      : SkipPath<After>
+    : S
+  : S
+
+/** Removes a number like 1.5e3 or 0xff from the start of a string */
+type SkipNumber<S extends string> = S extends `${NameChar | '.'}${infer Rest}`
+  ? SkipNumber<Rest>
+  : S
+
+/**
+ * Collects the names of an expression by how they're used: as a whole argument of a function,
+ * taking the kind of its position, within an argument, with a property path, or bound by let.
+ * Stack holds the argument kinds of open parentheses, Open whether an argument starts here.
+ */
+type ScanNames<
+  S extends string,
+  Stack extends ArgumentKind[][] = [],
+  Open extends boolean = false,
+  Scalars extends string = never,
+  Arrays extends string = never,
+  Anys extends string = never,
+  Objects extends string = never,
+  Bound extends string = never,
+> = S extends `${infer C}${infer Rest}`
+  ? C extends NameStart
+    ? ReadName<S> extends [infer Name extends string, infer After extends string]
+      ? Name extends 'let'
+        ? ReadName<SkipSpaces<After>> extends [
+            infer Local extends string,
+            infer Tail extends string,
+          ]
+          ? ScanNames<Tail, Stack, false, Scalars, Arrays, Anys, Objects, Bound | Local>
+          : never
+        : SkipSpaces<After> extends `(${infer Args}`
+          ? ScanNames<
+              Args,
+              [Signature<Name>, ...Stack],
+              true,
+              Scalars,
+              Arrays,
+              Anys,
+              Objects,
+              Bound
+            >
+          : After extends `.${NameStart}${string}`
+            ? ScanNames<SkipPath<After>, Stack, false, Scalars, Arrays, Anys, Objects | Name, Bound>
+            : (
+                  [Open, SkipSpaces<After>] extends [true, `${',' | ')'}${string}`]
+                    ? CurrentKind<Stack>
+                    : NestedKind<CurrentKind<Stack>>
+                ) extends infer Kind
+              ? Kind extends 'array'
+                ? ScanNames<After, Stack, false, Scalars, Arrays | Name, Anys, Objects, Bound>
+                : Kind extends 'any'
+                  ? ScanNames<After, Stack, false, Scalars, Arrays, Anys | Name, Objects, Bound>
+                  : ScanNames<After, Stack, false, Scalars | Name, Arrays, Anys, Objects, Bound>
+              : never
+      : never
+    : C extends Digit | '.'
+      ? ScanNames<SkipNumber<Rest>, Stack, false, Scalars, Arrays, Anys, Objects, Bound>
+      : C extends '('
+        ? ScanNames<
+            Rest,
+            [[NestedKind<CurrentKind<Stack>>], ...Stack],
+            true,
+            Scalars,
+            Arrays,
+            Anys,
+            Objects,
+            Bound
+          >
+        : ScanNames<
+            Rest,
+            C extends ')'
+              ? Stack extends [ArgumentKind[], ...infer Outer extends ArgumentKind[][]]
+                ? Outer
+                : []
+              : C extends ','
+                ? Stack extends [
+                    infer Kinds extends ArgumentKind[],
+                    ...infer Outer extends ArgumentKind[][],
+                  ]
+                  ? [NextArgument<Kinds>, ...Outer]
+                  : Stack
+                : Stack,
+            C extends ',' ? true : C extends Space ? Open : false,
+            Scalars,
+            Arrays,
+            Anys,
+            Objects,
+            Bound
+          >
+  : {
+      scalars: Exclude<Scalars, Bound>
+      arrays: Exclude<Arrays, Bound | Scalars | Objects>
+      anys: Exclude<Anys, Bound | Scalars | Arrays | Objects>
+      objects: Exclude<Objects, Bound>
+    }
+
+/** Names a formula reads from its inputs, string for expressions only known at runtime */
+export type FormulaInputName<S extends string> = string extends S
+  ? string
+  : ScanNames<S> extends { scalars: infer A; arrays: infer B; anys: infer C; objects: infer D }
+    ? A | B | C | D
+    : never
+
+/**
+ * Inputs of a formula, inferred from its source: names passed as a whole to function arguments
+ * taking arrays, like sum(xs), accept arrays, those taking either, like max(cost, 0) or sum(xs * 2),
+ * single values or arrays, names with a property path objects, and others single values. Any
+ * inputs for expressions only known at runtime.
+ */
+export type FormulaInputs<S extends string, D = DecimalInstance> = string extends S
+  ? Record<string, any>
+  : ScanNames<S> extends {
+        scalars: infer Scalar extends string
+        arrays: infer Array extends string
+        anys: infer Any extends string
+        objects: infer Object extends string
+      }
+    ? {
+        [K in Scalar | Array | Any | Object]: K extends Array
+          ? ReadonlyArray<DecimalValue | D>
+          : K extends Any
+            ? DecimalValue | D | ReadonlyArray<DecimalValue | D>
+            : K extends Object
+              ? object
+              : DecimalValue | D
+      }
+    : never
+
+/** Arguments of evaluate() and test(), optional for formulas without inputs */
+type InputArguments<S extends string, D> =
+  {} extends FormulaInputs<S, D> ? [inputs?: FormulaInputs<S, D>] : [inputs: FormulaInputs<S, D>]
+
+/** Formula with its inputs typed from its source, see defineFormula() */
+export interface TypedFormula<S extends string, D = DecimalInstance> {
+  readonly ast: ASTNode
+  readonly values: Array<FormulaValue | FormulaValue[]>
+  readonly inputs: Array<FormulaInputName<S>>
+  readonly hash: string
+  /** Evaluates a numeric formula like math */
+  evaluate(...inputs: InputArguments<S, D>): D
+  /** Evaluates a comparison formula like is */
+  test(...inputs: InputArguments<S, D>): boolean
+  equals(other: unknown): boolean
+  toJSON(): FormulaJSON
+  toString(): string
+}
+
+/** math of create() with values and results typed as the library's type D */
+export interface TypedMath<D> {
+  (template: TemplateStringsArray, ...values: Array<DecimalValue | D | D[]>): D
+  /** Returns math bound to a clone of the constructor, e.g. math.with({ precision: 50 }) */
+  with(config: CreateOptions): TypedMath<D>
+  /** Evaluates like math, also returning the derivation */
+  explain(template: TemplateStringsArray, ...values: Array<DecimalValue | D | D[]>): Explanation<D>
+  /** Compiles a math template ahead of time, null if only the interpreter can evaluate it */
+  precompile(template: ReadonlyArray<string>): PrecompiledTemplate | null
+  /** Caches a precompiled math template, returning the template to evaluate */
+  precompiled(strings: ReadonlyArray<string>, precompiled: LinkableTemplate): TemplateStringsArray
+}
+
+/** Creates a formula from a string, typing its inputs and results as D */
+export type DefineFormula<D = DecimalInstance> = <S extends string>(
+  source: S,
+  compileOptions?: CompileOptions
+) => TypedFormula<S, D>
+
+/** SQL expression split around its parameters, see toSQL() */
+export interface SQLFragment {
+  /** SQL text, one more than values */
+  strings: string[]
+  /** Parameters, decimal strings */
+  values: string[]
+}
+
+export interface VariableSlot {
+  /** Name and property path, e.g. 'order.total' */
+  key: string
+  name: string
+  path?: string[]
+}
+
+export type CompiledFunction = (
+  values: Array<DecimalInstance | DecimalInstance[]>,
+  variables: Map<string, DecimalInstance | DecimalInstance[]>
+) => DecimalInstance | DecimalInstance[] | boolean
+
+/** Template compiled ahead of time, e.g. by a build plugin */
+export interface PrecompiledTemplate {
+  /** Property paths by value index */
+  paths: Array<string[] | null | undefined> | undefined
+  /** Literal values, constructed once when linked */
+  constants: string[]
+  /** Names of called template functions */
+  functions: string[]
+  /** Source of `function (v, w)` using D, o, c, f and fallback */
+  source: string
+}
+
+/** Precompiled template with its function, as emitted by the build plugins */
+export interface LinkableTemplate extends Omit<PrecompiledTemplate, 'source'> {
+  /** Returns the function of values and variables, given D, o, c, f and fallback */
+  evaluate: (
+    D: any,
+    o: DecimalAdapter,
+    c: any[],
+    f: Function[],
+    fallback: CompiledFunction
+  ) => CompiledFunction
+}
+
+export interface CompiledTemplate {
+  ast: ASTNode
+  evaluate: CompiledFunction
+  /** Property paths by value index */
+  paths: Array<string[] | undefined> | undefined
+  variables: VariableSlot[]
 }
@@ -1,6 +1,38 @@
 import { test, describe } from 'node:test'
 import assert from 'node:assert'
-import { math, is } from '../src/decimal.js'
+import Decimal from 'decimal.js'
+import {
+  math,
+  is,
+  compile,
+  evaluate,
+  parse,
+  simplify,
+  derivative,
+  solve,
+  print,
+  references,
+  Formula,
+  defineFormula,
+} from '../src/decimal.js'
+import Big from 'big.js'
+import BigNumber from 'bignumber.js'
+import {
+  create,
+  DecimationSyntaxError,
+  BUILTIN_FUNCTIONS,
+  bigAdapter,
+  bigNumberAdapter,
+  bigintAdapter,
+  moneyAdapter,
+  unsupportedFeatures,
+  DecimationInputError,
+} from '../src/core.js'
+import * as big from '../src/big.js'
+import * as bignumber from '../src/bignumber.js'
+import * as bigint from '../src/bigint.js'
+import { check, transform, vitePlugin, babelPlugin } from '../src/build.js'
+import { sql } from '../src/prisma.js'
 
 describe(`math template tag`, () => {
   test('basic addition', () => {
@@ -206,8 +238,10 @@ describe(`is template tag`, () => {
     assert.throws(() => is`${1} + ${2}`, /'is' template requires a comparison operator/)
   })
 
-  test('chained comparisons throw error', () => {
-    assert.throws(() => is`${1} < ${2} < ${3}`, /Chained comparisons are not supported/)
+  test('chained comparisons', () => {
+    assert.strictEqual(is`${1} < ${2} < ${3}`, true)
+    assert.strictEqual(is`${1} < ${3} < ${2}`, false)
+    assert.strictEqual(is`${1} <= ${1} < ${2} != ${3}`, true)
   })
 
   test('sum() function works in is template', () => {
@@ -241,3 +275,1923 @@ describe(`is template tag`, () => {
     )
   })
 })
+
+describe(`compiled templates`, () => {
+  test('repeated calls reuse the compiled template', () => {
+    const results = [1, 2, 3].map(x => math`${x} * 2 + 1`.toString())
+    assert.deepStrictEqual(results, ['3', '5', '7'])
+  })
+
+  test('array in scalar position reports the interpreter error', () => {
+    assert.throws(() => math`abs(${[1, 2]})`, /abs\(\) argument 1 must be a Decimal/)
+  })
+
+  test('sum() with scalar argument reports the interpreter error', () => {
+    assert.throws(() => math`sum(${1})`, /sum\(\) requires an array argument/)
+  })
+
+  test('falls back to interpreter when new Function is forbidden', () => {
+    const OriginalFunction = globalThis.Function
+    globalThis.Function = /** @type {any} */ (
+      function () {
+        throw new EvalError('Code generation from strings disallowed for this context')
+      }
+    )
+    try {
+      const { math, is } = create(Decimal)
+      assert.strictEqual(math`(${2} + 3) * abs(${-4}) ** 2`.toString(), '80')
+      assert.strictEqual(is`sum(${[1, 2]}) != ${4}`, true)
+    } finally {
+      globalThis.Function = OriginalFunction
+    }
+  })
+})
+
+describe(`syntax errors`, () => {
+  test('unexpected character points at segment and column', () => {
+    assert.throws(
+      () => math`${1} + ${2} # 3`,
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.ok(error instanceof DecimationSyntaxError)
+        assert.ok(error instanceof SyntaxError)
+        assert.strictEqual(error.segment, 2)
+        assert.strictEqual(error.column, 1)
+        assert.strictEqual(error.token, '#')
+        assert.strictEqual(error.snippet, '  ${…} + ${…} # 3\n              ^')
+        assert.match(error.message, /^Unexpected character: # \(segment 2, column 1\)/)
+        return true
+      }
+    )
+  })
+
+  test('missing closing parenthesis points at end of template', () => {
+    assert.throws(
+      () => math`(${1} + ${2}`,
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.strictEqual(error.token, '')
+        assert.strictEqual(error.snippet, '  (${…} + ${…}\n              ^')
+        return true
+      }
+    )
+  })
+
+  test('unexpected value is shown as placeholder', () => {
+    assert.throws(
+      () => math`${1} ${2}`,
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.strictEqual(error.token, '${…}')
+        assert.strictEqual(error.snippet, '  ${…} ${…}\n       ^^^^')
+        return true
+      }
+    )
+  })
+
+  test('argument count errors point at function name', () => {
+    assert.throws(
+      () => math`${1} + clamp(${2}, 3)`,
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.strictEqual(error.token, 'clamp')
+        assert.strictEqual(error.snippet, '  ${…} + clamp(${…}, 3)\n         ^^^^^')
+        return true
+      }
+    )
+  })
+
+  test('is comparison rules point at operator', () => {
+    assert.throws(
+      () => is`(${1} < ${2}) <= ${3}`,
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.strictEqual(error.token, '<')
+        assert.strictEqual(error.segment, 1)
+        return true
+      }
+    )
+  })
+
+  test('snippet shows only the offending line', () => {
+    assert.throws(
+      () => math`
+        ${1} +
+        ${2} $ 3
+      `,
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.strictEqual(error.snippet, '          ${…} $ 3\n               ^')
+        return true
+      }
+    )
+  })
+})
+
+describe(`custom functions`, () => {
+  const { math, is } = create(Decimal, {
+    functions: {
+      pct: { arity: 1, fn: x => x.div(100) },
+      tax_round: { arity: [1, 2], fn: (x, dp = 2) => x.toDecimalPlaces(Number(dp)) },
+      total: {
+        arity: [1, Infinity],
+        fn(...xs) {
+          return this.sum(0, ...xs)
+        },
+      },
+      weighted: {
+        arity: 2,
+        args: ['array', 'array'],
+        fn(values, weights) {
+          return this.sum(0, ...values.map((v, i) => new this(v).mul(weights[i])))
+        },
+      },
+      round: { arity: 1, fn: x => x.toDecimalPlaces(0, Decimal.ROUND_HALF_EVEN) },
+      clamp: null,
+    },
+  })
+
+  test('fixed arity', () => {
+    assert.strictEqual(math`${200} * pct(${15})`.toString(), '30')
+  })
+
+  test('range arity', () => {
+    assert.strictEqual(math`tax_round(${1.23456})`.toString(), '1.23')
+    assert.strictEqual(math`tax_round(${1.23456}, 3)`.toString(), '1.235')
+    assert.throws(() => math`tax_round()`, /tax_round\(\) requires 1 to 2 arguments/)
+  })
+
+  test('variadic arity', () => {
+    assert.strictEqual(math`total(1, 2, ${3}, 4)`.toString(), '10')
+    assert.throws(() => math`total()`, /total\(\) requires at least 1 argument/)
+  })
+
+  test('array arguments', () => {
+    assert.strictEqual(math`weighted(${[1, 2]}, ${[3, 4]})`.toString(), '11')
+    assert.throws(
+      () => math`weighted(${[1, 2]}, 3)`,
+      /weighted\(\) argument 2 must be an interpolated array/
+    )
+    assert.throws(() => math`weighted(${[1]}, ${3})`, /weighted\(\) requires an array argument/)
+  })
+
+  test('scalar arguments reject arrays', () => {
+    assert.throws(() => math`pct(${[1, 2]})`, /pct\(\) argument 1 must be a Decimal/)
+  })
+
+  test('overridden built-in', () => {
+    assert.strictEqual(math`round(${2.5})`.toString(), '2')
+    assert.strictEqual(is`round(${3.5}) == 4`, true)
+  })
+
+  test('removed built-in', () => {
+    assert.throws(() => math`clamp(${1}, 2, 3)`, /Unknown function: clamp/)
+  })
+
+  test('other built-ins remain available', () => {
+    assert.strictEqual(math`sum(${[1, 2]}) + abs(${-1})`.toString(), '4')
+  })
+
+  test('invalid definitions are rejected', () => {
+    assert.throws(
+      () => create(Decimal, { functions: { 'no-dash': { arity: 1, fn: x => x } } }),
+      /Invalid function name: 'no-dash'/
+    )
+    assert.throws(
+      () => create(Decimal, { functions: { f: { arity: [2, 1], fn: x => x } } }),
+      /Function 'f' has invalid arity/
+    )
+    assert.throws(
+      () => create(Decimal, { functions: { f: /** @type {any} */ ({ arity: 1 }) } }),
+      /Function 'f' requires an fn implementation/
+    )
+  })
+})
+
+describe(`math functions`, () => {
+  test('min() and max() are variadic', () => {
+    assert.strictEqual(math`min(${3}, 1, ${2})`.toString(), '1')
+    assert.strictEqual(math`max(${3}, 1, ${2})`.toString(), '3')
+  })
+
+  test('min() and max() accept arrays', () => {
+    assert.strictEqual(math`min(${[3, '1.5', 2]})`.toString(), '1.5')
+    assert.strictEqual(math`max(${[3, 5]}, ${4}, ${[1]})`.toString(), '5')
+    assert.throws(() => math`max(${[]})`, /max\(\) requires at least one value/)
+  })
+
+  test('sqrt(), exp(), ln() and log()', () => {
+    assert.strictEqual(math`sqrt(${16})`.toString(), '4')
+    assert.strictEqual(math`ln(exp(${2}))`.toString(), '2')
+    assert.strictEqual(math`log(${1000})`.toString(), '3')
+    assert.strictEqual(math`log(${8}, 2)`.toString(), '3')
+  })
+
+  test('sign()', () => {
+    assert.strictEqual(math`sign(${-5})`.toString(), '-1')
+    assert.strictEqual(math`sign(${0})`.toString(), '0')
+    assert.strictEqual(math`sign(${2.5})`.toString(), '1')
+  })
+
+  test('trunc()', () => {
+    assert.strictEqual(math`trunc(${-3.7})`.toString(), '-3')
+    assert.strictEqual(math`trunc(${-3.789}, 2)`.toString(), '-3.78')
+  })
+
+  test('mod() and % operator', () => {
+    assert.strictEqual(math`mod(${10}, 3)`.toString(), '1')
+    assert.strictEqual(math`${10} % 4`.toString(), '2')
+    assert.strictEqual(math`${-7} % 3`.toString(), '-1')
+    assert.strictEqual(math`1 + ${10} % 4 * 2`.toString(), '5')
+  })
+
+  test('avg() and mean()', () => {
+    assert.strictEqual(math`avg(${[1, 2, 3, 4]})`.toString(), '2.5')
+    assert.strictEqual(math`mean(${1}, ${2}, ${[6]})`.toString(), '3')
+    assert.throws(() => math`avg(${[]})`, /avg\(\) requires at least one value/)
+  })
+
+  test('product()', () => {
+    assert.strictEqual(math`product(${[2, 3]}, 4)`.toString(), '24')
+    assert.strictEqual(math`product(${[]})`.toString(), '1')
+  })
+
+  test('hypot()', () => {
+    assert.strictEqual(math`hypot(${3}, ${4})`.toString(), '5')
+    assert.strictEqual(math`hypot(${[6, 8]})`.toString(), '10')
+  })
+
+  test('round() with decimal places and rounding mode', () => {
+    assert.strictEqual(math`round(${2.345}, 2)`.toString(), '2.35')
+    assert.strictEqual(math`round(${2.345}, 2, ${Decimal.ROUND_DOWN})`.toString(), '2.34')
+    assert.throws(() => math`round(${1}, 2, 3, 4)`, /round\(\) requires 1 to 3 arguments/)
+  })
+
+  test('floor() and ceil() with decimal places', () => {
+    assert.strictEqual(math`floor(${2.349}, 2)`.toString(), '2.34')
+    assert.strictEqual(math`floor(${-2.341}, 2)`.toString(), '-2.35')
+    assert.strictEqual(math`ceil(${2.341}, 2)`.toString(), '2.35')
+  })
+
+  test('missing Decimal methods are reported clearly', () => {
+    class Minimal extends Decimal {}
+    Object.defineProperty(Minimal.prototype, 'sqrt', { value: undefined })
+    Object.defineProperty(Minimal.prototype, 'mod', { value: undefined })
+    const { math } = create(/** @type {any} */ (Minimal))
+    assert.throws(
+      () => math`sqrt(${4})`,
+      /sqrt\(\) is not supported: the Decimal constructor has no sqrt\(\) method/
+    )
+    assert.throws(
+      () => math`${4} % 3`,
+      /'%' operator is not supported: the Decimal constructor has no mod\(\) method/
+    )
+  })
+})
+
+describe(`logic and conditionals`, () => {
+  test('&& and ||', () => {
+    assert.strictEqual(is`${1} > 0 && ${2} > 0`, true)
+    assert.strictEqual(is`${1} > 0 && ${-2} > 0`, false)
+    assert.strictEqual(is`${-1} > 0 || ${2} > 0`, true)
+    assert.strictEqual(is`${-1} > 0 || ${-2} > 0`, false)
+  })
+
+  test('&& binds tighter than ||', () => {
+    assert.strictEqual(is`${1} > 0 || ${1} < 0 && ${1} > 5`, true)
+    assert.strictEqual(is`(${1} > 0 || ${1} < 0) && ${1} > 5`, false)
+  })
+
+  test('! negates a comparison', () => {
+    assert.strictEqual(is`!${1} > ${2}`, true)
+    assert.strictEqual(is`!(${1} > 0 && ${2} > 0)`, false)
+    assert.strictEqual(is`!!(${1} == 1)`, true)
+  })
+
+  test('range check with chained comparison', () => {
+    const inRange = (/** @type {number} */ x) => is`${0} <= ${x} < ${10}`
+    assert.deepStrictEqual([-1, 0, 5, 10].map(inRange), [false, true, true, false])
+  })
+
+  test('ternary in math', () => {
+    const price = (/** @type {number} */ qty) => math`${qty} >= 100 ? ${10} * 0.9 : ${10}`
+    assert.strictEqual(price(100).toString(), '9')
+    assert.strictEqual(price(99).toString(), '10')
+  })
+
+  test('nested ternary is right-associative', () => {
+    const tier = (/** @type {number} */ x) => math`${x} < 10 ? 1 : ${x} < 100 ? 2 : 3`.toString()
+    assert.deepStrictEqual([5, 50, 500].map(tier), ['1', '2', '3'])
+  })
+
+  test('ternary in expression and function argument', () => {
+    assert.strictEqual(math`1 + (${2} > 1 ? 10 : 20) * 2`.toString(), '21')
+    assert.strictEqual(math`abs(${-2} > 0 ? 1 : ${-2})`.toString(), '2')
+  })
+
+  test('ternary with comparison branches in is', () => {
+    assert.strictEqual(is`${1} > 0 ? ${2} > 1 : ${3} > 5`, true)
+    assert.strictEqual(is`${-1} > 0 ? ${2} > 1 : ${3} > 5`, false)
+  })
+
+  test('short-circuit skips the other operand', () => {
+    // sum() of a scalar throws when evaluated
+    assert.strictEqual(is`${0} != 0 && sum(${5}) > 1`, false)
+    assert.strictEqual(is`${0} == 0 || sum(${5}) > 1`, true)
+    assert.strictEqual(math`${0} == 0 ? 0 : sum(${5})`.toString(), '0')
+  })
+
+  test('logical operators require comparisons', () => {
+    assert.throws(() => is`${1} && ${2} > 0`, /Logical operator '&&' requires comparison operands/)
+    assert.throws(() => is`!${1}`, /Logical operator '!' requires a comparison operand/)
+    assert.throws(() => math`${1} ? 2 : 3`, /Condition of '\?' must be a comparison/)
+  })
+
+  test('conditional branches must have the same kind', () => {
+    assert.throws(
+      () => is`${1} > 0 ? ${1} > 2 : 3`,
+      /Conditional branches must both be numbers or both be comparisons/
+    )
+  })
+
+  test('booleans are not allowed as numbers', () => {
+    assert.throws(
+      () => math`${1} > 0 && ${2} > 0`,
+      /Logical operator '&&' can only be used in 'is' template/
+    )
+    assert.throws(() => math`abs(${1} > 0)`, /not as a function argument/)
+    assert.throws(() => math`(${1} > 0) + 1`, /not in nested expressions/)
+  })
+
+  test('works without code generation', () => {
+    const OriginalFunction = globalThis.Function
+    globalThis.Function = /** @type {any} */ (
+      function () {
+        throw new EvalError('Code generation from strings disallowed for this context')
+      }
+    )
+    try {
+      const { math, is } = create(Decimal)
+      assert.strictEqual(math`${5} > 1 ? 1 : 2`.toString(), '1')
+      assert.strictEqual(is`!(${1} > 2) && ${1} < ${2} < ${3}`, true)
+    } finally {
+      globalThis.Function = OriginalFunction
+    }
+  })
+})
+
+describe(`array arithmetic`, () => {
+  /** @param {any} result */
+  const strings = result => result.map((/** @type {Decimal} */ x) => x.toString())
+
+  test('element-wise operations', () => {
+    assert.deepStrictEqual(strings(math`${[1, 2, 3]} * ${[4, 5, 6]}`), ['4', '10', '18'])
+    assert.deepStrictEqual(strings(math`${['0.1', '0.2']} + ${[0.2, 0.1]}`), ['0.3', '0.3'])
+  })
+
+  test('scalar broadcast', () => {
+    assert.deepStrictEqual(strings(math`${[10, 20]} * (1 + ${0.1})`), ['11', '22'])
+    assert.deepStrictEqual(strings(math`100 - ${[1, 2]}`), ['99', '98'])
+    assert.deepStrictEqual(strings(math`-${[1, -2]} ** 2`), ['1', '4'])
+  })
+
+  test('sum() of an array expression is a dot product', () => {
+    assert.strictEqual(math`sum(${[2, 3]} * ${[4, 5]})`.toString(), '23')
+    assert.strictEqual(is`sum(${[2, 3]} * ${[4, 5]}) > 20`, true)
+  })
+
+  test('array expressions in aggregate functions', () => {
+    assert.strictEqual(math`max(${[1, 5, 3]} * 2)`.toString(), '10')
+    assert.strictEqual(math`avg(${[1, 2]} + ${[3, 4]})`.toString(), '5')
+  })
+
+  test('conditional can select arrays', () => {
+    assert.deepStrictEqual(strings(math`${1} > 0 ? ${[1, 2]} * 2 : ${[0, 0]}`), ['2', '4'])
+  })
+
+  test('length mismatch names both lengths', () => {
+    assert.throws(
+      () => math`${[1, 2, 3]} * ${[1, 2]}`,
+      /Array length mismatch in '\*': left operand has 3 elements, right operand has 2/
+    )
+  })
+
+  test('arrays are not allowed in comparisons', () => {
+    assert.throws(
+      () => is`${[1, 2]} > 0`,
+      /Comparison operator '>' requires Decimal operands, not arrays/
+    )
+  })
+
+  test('array functions require array expressions', () => {
+    assert.throws(() => math`sum(2 * 3)`, /sum\(\) argument 1 must be an interpolated array/)
+    assert.throws(() => math`sum(${2} * 3)`, /sum\(\) requires an array argument/)
+  })
+})
+
+describe(`property access`, () => {
+  const order = {
+    total: '99.50',
+    customer: { discount: 0.1 },
+    items: [
+      { price: '10.25', qty: 2 },
+      { price: 5, qty: 3 },
+    ],
+  }
+
+  test('reads a property', () => {
+    assert.strictEqual(math`${order}.total * 2`.toString(), '199')
+  })
+
+  test('reads a nested path', () => {
+    assert.strictEqual(math`${order}.total * (1 - ${order}.customer.discount)`.toString(), '89.55')
+  })
+
+  test('plucks a property from each array element', () => {
+    assert.strictEqual(math`sum(${order.items}.price)`.toString(), '15.25')
+    assert.strictEqual(math`sum(${order}.items.price * ${order}.items.qty)`.toString(), '35.5')
+  })
+
+  test('works in is template', () => {
+    assert.strictEqual(is`${order}.total > sum(${order}.items.price)`, true)
+  })
+
+  test('missing property names the path', () => {
+    assert.throws(
+      () => math`${order}.customer.vat`,
+      /Missing property 'vat' at \$\{0\}\.customer\.vat/
+    )
+    assert.throws(
+      () => math`sum(${[{ price: 1 }, {}]}.price)`,
+      /Missing property 'price' at \$\{0\}\[1\]\.price/
+    )
+    assert.throws(
+      () => math`1 + ${{ customer: null }}.customer.discount`,
+      /Cannot read property 'discount' of null at \$\{0\}\.customer/
+    )
+  })
+
+  test('requires a property name after dot', () => {
+    assert.throws(() => math`${order}.(1)`, /Expected property name after '\.'/)
+  })
+})
+
+describe(`named variables`, () => {
+  test('evaluate() resolves variables from scope', () => {
+    const result = evaluate('price * (1 + taxRate)', { price: '100', taxRate: 0.0825 })
+    assert.strictEqual(result.toString(), '108.25')
+  })
+
+  test('evaluate() returns booleans for comparisons', () => {
+    assert.strictEqual(evaluate('total > limit', { total: 10, limit: 5 }), true)
+  })
+
+  test('compile() returns a reusable function', () => {
+    const commission = compile('max(sales * rate - base, 0)')
+    assert.strictEqual(commission({ sales: 1000, rate: 0.1, base: 20 }).toString(), '80')
+    assert.strictEqual(commission({ sales: 100, rate: 0.1, base: 20 }).toString(), '0')
+  })
+
+  test('variables support property access and arrays', () => {
+    const items = [
+      { price: 2, qty: 3 },
+      { price: 5, qty: 1 },
+    ]
+    assert.strictEqual(evaluate('sum(items.price * items.qty)', { items }).toString(), '11')
+    assert.strictEqual(evaluate('order.total / 2', { order: { total: 9 } }).toString(), '4.5')
+    assert.strictEqual(evaluate('sum(prices)', { prices: [1, 2, 3] }).toString(), '6')
+  })
+
+  test('variable names may match function names', () => {
+    assert.strictEqual(evaluate('max(max, 1)', { max: 5 }).toString(), '5')
+  })
+
+  test('declared variables are checked at compile time', () => {
+    assert.throws(
+      () => compile('price * (1 + taxRat)', { variables: ['price', 'taxRate'] }),
+      /** @param {DecimationSyntaxError} error */
+      error => {
+        assert.ok(error instanceof DecimationSyntaxError)
+        assert.match(error.message, /^Unknown variable: taxRat/)
+        assert.strictEqual(error.token, 'taxRat')
+        return true
+      }
+    )
+  })
+
+  test('missing variables are reported at evaluation', () => {
+    assert.throws(() => evaluate('a + b', { a: 1 }), /Unknown variable: b/)
+  })
+
+  test('mode option enforces the result kind', () => {
+    assert.throws(() => compile('a > b', { mode: 'math' }), /not as 'math' result/)
+    assert.throws(() => compile('a + b', { mode: 'is' }), /requires a comparison operator/)
+  })
+
+  test('compile() as a tag mixes values and variables', () => {
+    const net = compile`${100} * (1 - discount)`
+    assert.strictEqual(net({ discount: 0.25 }).toString(), '75')
+    assert.strictEqual(net({ discount: 0.5 }).toString(), '50')
+  })
+
+  test('math and is templates have no variables', () => {
+    assert.throws(() => math`${1} * discount`, /Unknown variable: discount/)
+    assert.throws(() => math`abs + 1`, /Expected '\(' after function name 'abs'/)
+  })
+
+  test('works without code generation', () => {
+    const OriginalFunction = globalThis.Function
+    globalThis.Function = /** @type {any} */ (
+      function () {
+        throw new EvalError('Code generation from strings disallowed for this context')
+      }
+    )
+    try {
+      const { evaluate } = create(Decimal)
+      assert.strictEqual(evaluate('a > 1 ? sum(b) : 0', { a: 2, b: [1, 2] }).toString(), '3')
+    } finally {
+      globalThis.Function = OriginalFunction
+    }
+  })
+})
+
+describe(`let bindings`, () => {
+  test('binds names for the result expression', () => {
+    const payment = (
+      /** @type {number} */ p,
+      /** @type {number} */ rate,
+      /** @type {number} */ years
+    ) =>
+      math`
+        let r = ${rate} / 12;
+        let n = ${years} * 12;
+        ${p} * r / (1 - (1 + r) ** -n)
+      `
+    assert.strictEqual(payment(200000, 0.06, 30).toFixed(2), '1199.10')
+    assert.strictEqual(payment(100000, 0.06, 15).toFixed(2), '843.86')
+  })
+
+  test('later bindings can use earlier ones', () => {
+    assert.strictEqual(math`let a = ${2}; let b = a * a; a + b`.toString(), '6')
+  })
+
+  test('allows a trailing semicolon', () => {
+    assert.strictEqual(math`let a = ${2}; a * 3;`.toString(), '6')
+  })
+
+  test('works in is and with arrays', () => {
+    assert.strictEqual(is`let total = sum(${[1, 2, 3]}); total > 5 && total < 10`, true)
+    assert.strictEqual(math`let amounts = ${[1, 2]} * ${[3, 4]}; sum(amounts)`.toString(), '11')
+  })
+
+  test('works with evaluate() and scope variables', () => {
+    const result = evaluate('let gross = price * qty; gross - gross * discount', {
+      price: 10,
+      qty: 3,
+      discount: 0.1,
+    })
+    assert.strictEqual(result.toString(), '27')
+  })
+
+  test('let-bound names shadow scope variables', () => {
+    assert.strictEqual(evaluate('let x = 2; x * y', { x: 100, y: 3 }).toString(), '6')
+  })
+
+  test('cannot shadow functions', () => {
+    assert.throws(
+      () => math`let sum = ${1}; sum`,
+      /Cannot bind 'sum', it would shadow function sum\(\)/
+    )
+  })
+
+  test('cannot use a name before it is bound', () => {
+    assert.throws(() => math`let a = b + 1; let b = ${2}; a`, /'b' is used before it's bound/)
+    assert.throws(() => evaluate('let r = r + 1; r', { r: 1 }), /'r' is used before it's bound/)
+  })
+
+  test('cannot bind a name twice', () => {
+    assert.throws(() => math`let a = 1; let a = 2; a`, /'a' is already bound/)
+  })
+
+  test('requires = and ;', () => {
+    assert.throws(() => math`let a ${1}; a`, /Expected '=' after 'let a'/)
+    assert.throws(() => math`let a = ${1} a`, /Expected ';' after let binding/)
+  })
+
+  test('works without code generation', () => {
+    const OriginalFunction = globalThis.Function
+    globalThis.Function = /** @type {any} */ (
+      function () {
+        throw new EvalError('Code generation from strings disallowed for this context')
+      }
+    )
+    try {
+      const { math } = create(Decimal)
+      assert.strictEqual(math`let a = ${2}; let b = a * 3; a + b`.toString(), '8')
+    } finally {
+      globalThis.Function = OriginalFunction
+    }
+  })
+})
+
+describe(`precision and rounding`, () => {
+  test('create() precision applies to literals and interpolated values', () => {
+    const { math } = create(Decimal, { precision: 5 })
+    assert.strictEqual(math`1 / 3`.toString(), '0.33333')
+    assert.strictEqual(math`${1} / ${3}`.toString(), '0.33333')
+    assert.strictEqual(math`${new Decimal(2)} / 3`.toString(), '0.66667')
+  })
+
+  test('create() rounding', () => {
+    const { math } = create(Decimal, { precision: 1, rounding: Decimal.ROUND_DOWN })
+    assert.strictEqual(math`${2} / ${3}`.toString(), '0.6')
+  })
+
+  test('does not change the original constructor', () => {
+    create(Decimal, { precision: 5 })
+    assert.strictEqual(Decimal.precision, 20)
+    assert.strictEqual(math`1 / 3`.toString(), '0.33333333333333333333')
+  })
+
+  test('math.with() uses a clone for one call', () => {
+    const result = math.with({ precision: 50 })`${1} / ${3}`
+    assert.strictEqual(result.toString(), '0.' + '3'.repeat(50))
+    assert.strictEqual(math`${1} / ${3}`.toString(), '0.' + '3'.repeat(20))
+  })
+
+  test('math.with() reuses configured functions', () => {
+    assert.strictEqual(math.with({ precision: 50 }), math.with({ precision: 50 }))
+    assert.notStrictEqual(math.with({ precision: 50 }), math.with({ precision: 40 }))
+  })
+
+  test('is.with()', () => {
+    assert.strictEqual(is`${1} / ${3} * 3 == 1`, false)
+    assert.strictEqual(
+      is.with({ precision: 5, rounding: Decimal.ROUND_UP })`${2} / ${3} == 0.66667`,
+      true
+    )
+  })
+
+  test('resultDecimalPlaces rounds math results', () => {
+    const { math, evaluate } = create(Decimal, { resultDecimalPlaces: 2 })
+    assert.strictEqual(math`${10} / ${3}`.toString(), '3.33')
+    assert.deepStrictEqual(math`${[1, 2]} / 3`.map(String), ['0.33', '0.67'])
+    assert.strictEqual(evaluate('a / 3', { a: 2 }).toString(), '0.67')
+    assert.strictEqual(evaluate('a / 3 > 0.666', { a: 2 }), true)
+  })
+
+  test('resultDecimalPlaces uses the rounding option', () => {
+    const { math } = create(Decimal, { rounding: Decimal.ROUND_DOWN, resultDecimalPlaces: 2 })
+    assert.strictEqual(math`${2} / ${3}`.toString(), '0.66')
+    assert.strictEqual(math.with({ resultDecimalPlaces: 0 })`${2} / ${3}`.toString(), '0')
+  })
+
+  test('requires clone() for precision', () => {
+    const NoClone = /** @type {any} */ (
+      function (/** @type {any} */ x) {
+        return new Decimal(x)
+      }
+    )
+    assert.throws(
+      () => create(NoClone, { precision: 5 }),
+      /precision and rounding options require a Decimal constructor with clone\(\)/
+    )
+  })
+})
+
+describe(`adapters`, () => {
+  for (const [name, { math, is }, Library] of /** @type {const} */ ([
+    ['big.js', big, Big],
+    ['bignumber.js', bignumber, BigNumber],
+  ])) {
+    test(`${name} arithmetic returns library instances`, () => {
+      const result = math`${1} / ${4} + 2 ** 3 - ${'0.1'} * -${new Library(2)}`
+      assert.ok(result instanceof Library)
+      assert.strictEqual(result.toString(), '8.45')
+      assert.strictEqual(math`${7} % 4`.toString(), '3')
+      assert.strictEqual(is`${1} < 2 && ${3} != 4`, true)
+      assert.deepStrictEqual(math`${[1, 2]} * 2`.map(String), ['2', '4'])
+    })
+
+    test(`${name} functions`, () => {
+      assert.strictEqual(math`ceil(${-2.341}, 2)`.toString(), '-2.34')
+      assert.strictEqual(math`floor(${-2.341}, 2)`.toString(), '-2.35')
+      assert.strictEqual(math`ceil(${1.2})`.toString(), '2')
+      assert.strictEqual(math`trunc(${-1.7})`.toString(), '-1')
+      assert.strictEqual(math`round(${2.345}, 2)`.toString(), '2.35')
+      assert.strictEqual(math`sum(${[1, 2, '3.5']})`.toString(), '6.5')
+      assert.strictEqual(math`max(${[1, 5]}, 3)`.toString(), '5')
+      assert.strictEqual(math`avg(${[1, 2]})`.toString(), '1.5')
+      assert.strictEqual(math`hypot(${3}, 4)`.toString(), '5')
+      assert.strictEqual(math`clamp(${7}, 0, 5)`.toString(), '5')
+      assert.strictEqual(math`sign(${-3})`.toString(), '-1')
+    })
+
+    test(`${name} reports unsupported functions`, () => {
+      assert.throws(
+        () => math`ln(${2})`,
+        new RegExp(`ln\\(\\) is not supported by the ${name} adapter`)
+      )
+      assert.throws(
+        () => math`${2} ** 0.5`,
+        new RegExp(
+          `^Error: 2 \\*\\* 0.5 is not supported by the ${name} adapter, exponents must be integers`
+        )
+      )
+      assert.strictEqual(math`${2} ** -2`.toString(), '0.25')
+    })
+  }
+
+  test('big.js rounding option', () => {
+    const { math } = create(bigAdapter(Big), { rounding: Big.roundDown, resultDecimalPlaces: 2 })
+    assert.strictEqual(math`${2} / ${3}`.toString(), '0.66')
+    assert.strictEqual(Big.RM, 1)
+    assert.throws(
+      () => create(bigAdapter(Big), { precision: 10 }),
+      /precision option is not supported by the big.js adapter/
+    )
+  })
+
+  test('bignumber.js rounding option', () => {
+    const { math } = create(bigNumberAdapter(BigNumber), {
+      rounding: BigNumber.ROUND_DOWN,
+      resultDecimalPlaces: 2,
+    })
+    assert.strictEqual(math`${2} / ${3}`.toString(), '0.66')
+    assert.strictEqual(math.with({ resultDecimalPlaces: 0 })`${2} / ${3}`.toString(), '0')
+  })
+
+  test('bigint arithmetic on integers', () => {
+    assert.strictEqual(bigint.math`${100n} * ${3} + sum(${[1, 2n]}) - 10 % 3 + 2 ** 3`, 310n)
+    assert.strictEqual(bigint.math`${10} / 2`, 5n)
+    assert.strictEqual(bigint.is`${1n} < 2`, true)
+    assert.strictEqual(bigint.evaluate('round(cents)', { cents: 250 }), 250n)
+  })
+
+  test('bigint rejects fractions', () => {
+    assert.throws(() => bigint.math`${1.5} + 1`, /Cannot convert 1.5 to bigint/)
+    assert.throws(() => bigint.math`1.5 + ${1}`, /Cannot convert 1.5 to bigint/)
+    assert.throws(() => bigint.math`${7} / 2`, /Inexact bigint division: 7 \/ 2/)
+    assert.throws(() => bigint.math`2 ** -1`, /Negative bigint exponent: 2 \*\* -1/)
+    assert.strictEqual(bigint.math`${2} ** ${0}`, 1n)
+    assert.throws(() => bigint.math`sqrt(${4})`, /sqrt\(\) is not supported by the bigint adapter/)
+    assert.throws(
+      () => create(bigintAdapter, { rounding: 1 }),
+      /precision and rounding options are not supported by the bigint adapter/
+    )
+  })
+
+  test('unsupported operators are reported at parse time', () => {
+    const { math } = create({ ...bigintAdapter, mod: undefined })
+    assert.throws(
+      () => math`${5} % 2`,
+      (/** @type {any} */ error) =>
+        error instanceof DecimationSyntaxError &&
+        /'%' operator is not supported by the bigint adapter/.test(error.message)
+    )
+  })
+
+  test('unsupportedFeatures() lists what an adapter lacks', () => {
+    assert.deepStrictEqual(
+      [...unsupportedFeatures(bigAdapter(Big)).values()],
+      ['exp()', 'ln()', 'log()', 'nper()']
+    )
+    assert.deepStrictEqual(
+      [...unsupportedFeatures(bigintAdapter).values()],
+      ['sqrt()', 'exp()', 'ln()', 'log()', 'hypot()', 'nper()', 'stddev()']
+    )
+  })
+
+  test('user functions can fill in unsupported ones', () => {
+    const { math } = create(bigintAdapter, {
+      functions: { sqrt: { arity: 1, fn: x => BigInt(Math.floor(Math.sqrt(Number(x)))) } },
+    })
+    assert.strictEqual(math`sqrt(${16})`, 4n)
+  })
+
+  test('adapters define every built-in function', () => {
+    for (const adapter of [bigAdapter(Big), bigNumberAdapter(BigNumber), bigintAdapter]) {
+      assert.deepStrictEqual(
+        Object.keys(adapter.functions ?? {}).sort(),
+        Object.keys(BUILTIN_FUNCTIONS).sort()
+      )
+    }
+  })
+})
+
+describe(`array literals`, () => {
+  test('evaluate to arrays', () => {
+    assert.deepStrictEqual(math`[1, ${2}, 1 + 2]`.map(String), ['1', '2', '3'])
+    assert.deepStrictEqual(math`[1, 2] * ${[3, 4]}`.map(String), ['3', '8'])
+    assert.strictEqual(math`sum([1, 2, ${3}])`.toString(), '6')
+    assert.deepStrictEqual(math`[]`, [])
+  })
+
+  test('syntax errors', () => {
+    assert.throws(() => math`[1, 2`, /Expected comma or '\]' in array/)
+    assert.throws(() => math`[1 > 0]`, /not as an array element/)
+    assert.throws(() => math`[${[1]}]`, /Array elements must be Decimal instances/)
+  })
+})
+
+describe(`money`, () => {
+  const { math, is, evaluate } = create(moneyAdapter(Decimal, { currencies: { BTC: 8 } }))
+  /** @param {any} amount */
+  const usd = amount => ({ amount, currency: 'USD' })
+  /** @param {any} amount */
+  const eur = amount => ({ amount, currency: 'EUR' })
+  /** @param {any} result */
+  const show = result =>
+    Array.isArray(result) ? result.map(show) : `${result.amount} ${result.currency}`
+
+  test('adds and subtracts matching currencies', () => {
+    const result = /** @type {any} */ (math`${usd('10.00')} + ${usd(5)} - ${usd('0.5')}`)
+    assert.ok(result.amount instanceof Decimal)
+    assert.strictEqual(show(result), '14.5 USD')
+  })
+
+  test('rejects mismatched currencies', () => {
+    assert.throws(() => math`${usd(10)} + ${eur(5)}`, /Cannot add USD and EUR/)
+    assert.throws(() => math`${usd(10)} - 1`, /Cannot subtract USD and a plain number/)
+    assert.throws(() => is`${usd(10)} > ${eur(5)}`, /Cannot compare USD and EUR/)
+    assert.throws(() => math`${usd(10)} * ${usd(2)}`, /Cannot multiply USD by USD/)
+    assert.throws(() => math`2 / ${usd(2)}`, /Cannot divide a plain number by USD/)
+    assert.throws(() => math`${usd(2)} ** 2`, /'\*\*' requires plain numbers, not USD/)
+  })
+
+  test('multiplies and divides by plain numbers', () => {
+    assert.strictEqual(show(math`${usd('9.99')} * 3`), '29.97 USD')
+    assert.strictEqual(show(math`${usd(10)} / ${3}`), '3.33 USD')
+    assert.deepStrictEqual(show(math`${[usd(1), usd(2)]} * 1.5`), ['1.5 USD', '3 USD'])
+    assert.strictEqual(math`${usd(10)} / ${usd(4)}`.toString(), '2.5')
+  })
+
+  test('compares with plain numbers', () => {
+    assert.strictEqual(is`${usd(10)} > 3`, true)
+    assert.strictEqual(is`${usd(10)} == ${usd('10.00')}`, true)
+  })
+
+  test('rounds results to minor units', () => {
+    assert.strictEqual(show(math`${usd('2.555')} * 1`), '2.56 USD')
+    assert.strictEqual(show(math`${{ amount: 1000.5, currency: 'JPY' }} * 1`), '1001 JPY')
+    assert.strictEqual(
+      show(math`${{ amount: '0.123456789', currency: 'BTC' }} * 2`),
+      '0.24691358 BTC'
+    )
+    assert.throws(() => math`${{ amount: 1, currency: 'ZZZZ' }} * 2`, /Unknown currency: ZZZZ/)
+  })
+
+  test('functions keep the currency', () => {
+    assert.strictEqual(show(math`sum(${[usd(1), usd('2.5')]})`), '3.5 USD')
+    assert.strictEqual(show(math`round(${usd('2.555')}, 1)`), '2.6 USD')
+    assert.strictEqual(show(math`max(${[usd(1), usd(2)]})`), '2 USD')
+    assert.strictEqual(
+      show(evaluate('price.total * qty', { price: { total: usd(2) }, qty: 3 })),
+      '6 USD'
+    )
+    assert.throws(() => math`exp(${usd(1)})`, /exp\(\) is not supported by the money adapter/)
+  })
+
+  test('allocate() splits without losing cents', () => {
+    assert.deepStrictEqual(show(math`allocate(${usd(100)}, [1, 1, 1])`), [
+      '33.34 USD',
+      '33.33 USD',
+      '33.33 USD',
+    ])
+    assert.deepStrictEqual(show(math`allocate(${usd(-100)}, [1, 1, 1])`), [
+      '-33.34 USD',
+      '-33.33 USD',
+      '-33.33 USD',
+    ])
+    assert.deepStrictEqual(show(math`allocate(${usd('0.05')}, ${[70, 30]})`), [
+      '0.04 USD',
+      '0.01 USD',
+    ])
+    assert.deepStrictEqual(show(math`allocate(${{ amount: 1000, currency: 'JPY' }}, [1, 2])`), [
+      '334 JPY',
+      '666 JPY',
+    ])
+    assert.throws(() => math`allocate(${usd(1)}, [0, 0])`, /allocate\(\) requires a positive ratio/)
+    assert.throws(
+      () => math`allocate(${usd(1)}, [${usd(1)}])`,
+      /ratios must be non-negative plain numbers/
+    )
+  })
+
+  test('plain results are Decimals', () => {
+    assert.ok(math`${1} + 2` instanceof Decimal)
+  })
+})
+
+describe(`units`, () => {
+  const { math, is, evaluate } = create(Decimal, {
+    units: {
+      Wh: {},
+      kWh: { factor: 1000, unit: 'Wh' },
+      W: { unit: 'Wh/h' },
+      s: {},
+      min: { factor: 60, unit: 's' },
+      h: { factor: 60, unit: 'min' },
+      m: {},
+      km: { factor: 1000, unit: 'm' },
+      USD: {},
+    },
+  })
+  /** @param {any} result */
+  const show = result =>
+    result.unit === undefined ? result.toString() : `${result.value} ${result.unit}`
+
+  test('annotated values and literals', () => {
+    assert.strictEqual(show(math`${12} kWh * ${'0.25'} USD/kWh`), '3 USD')
+    assert.strictEqual(show(math`${12} kWh + 500 Wh`), '12.5 kWh')
+    assert.strictEqual(show(math`${2} kWh * 3`), '6 kWh')
+    assert.strictEqual(show(math`${2} W * ${3} h`), '6 Wh')
+    assert.strictEqual(show(math`(${2} m) ** 2`), '4 m*m')
+    assert.ok(math`${2} kWh / ${1} kWh` instanceof Decimal)
+  })
+
+  test('converts with a unit after parentheses', () => {
+    assert.strictEqual(show(math`${10} km / ${30} min`), '5.5555555555555555556 m/s')
+    assert.strictEqual(show(math`(${10} km / ${30} min) km/h`), '20 km/h')
+    assert.strictEqual(show(math`round((${100} s) min, 2)`), '1.67 min')
+  })
+
+  test('quantity objects', () => {
+    assert.strictEqual(show(math`${{ value: 2, unit: 'kWh' }} + ${300} Wh`), '2.3 kWh')
+    assert.strictEqual(show(evaluate('e kWh * p USD/kWh', { e: 3, p: 2 })), '6 USD')
+    assert.throws(
+      () => math`${{ value: 2, unit: 'kWh' }} + ${{ value: 1, unit: 'USD' }}`,
+      /Unit mismatch in '\+': kWh and USD/
+    )
+    assert.throws(() => math`${{ value: 2, unit: 'kWh' }} USD`, /Cannot convert kWh to USD/)
+    assert.throws(() => math`${{ value: 2, unit: 'J' }} * 2`, /Unknown unit: J/)
+  })
+
+  test('reports mismatched units at parse time', () => {
+    assert.throws(
+      () => math`${12} kWh + ${5} USD`,
+      (/** @type {any} */ error) =>
+        error instanceof DecimationSyntaxError &&
+        error.message.startsWith(`Unit mismatch in '+': kWh and USD`)
+    )
+    assert.throws(() => math`${12} kWh - 5`, /Unit mismatch in '-': kWh and a plain number/)
+    assert.throws(() => is`${12} kWh > ${3} USD`, /Unit mismatch in '>': kWh and USD/)
+    assert.throws(() => math`let e = ${2} kWh; e + ${1} USD`, /Unit mismatch in '\+'/)
+    assert.throws(() => math`${3} kWh ** ${2} USD`, /Exponent must be dimensionless, not USD/)
+    assert.throws(() => math`(${3} kWh) USD`, /Cannot convert Wh to USD/)
+  })
+
+  test('zero matches any unit', () => {
+    assert.strictEqual(is`${12} kWh > 0`, true)
+    assert.strictEqual(show(math`max(${[1, 2]} kWh)`), '2 kWh')
+    assert.strictEqual(show(math`sum(${[1, 2]} kWh)`), '3 kWh')
+  })
+
+  test('invalid definitions', () => {
+    assert.throws(
+      () => create(Decimal, { units: { a: { unit: 'b' }, b: { unit: 'a' } } }),
+      /Circular unit definition: a/
+    )
+    assert.throws(() => create(Decimal, { units: { a: { unit: 'zz' } } }), /Unknown unit: zz/)
+    assert.throws(() => create(Decimal, { units: { 'k-m': {} } }), /Invalid unit name: 'k-m'/)
+  })
+})
+
+describe(`percent`, () => {
+  test('postfix % divides by 100', () => {
+    assert.strictEqual(math`5%`.toString(), '0.05')
+    assert.strictEqual(math`${200} * 5%`.toString(), '10')
+    assert.strictEqual(math`${200} * ${5}% + 1`.toString(), '11')
+    assert.strictEqual(math`(${50} + 50)% * 3`.toString(), '3')
+  })
+
+  test('% between operands is the remainder', () => {
+    assert.strictEqual(math`${7} % 4`.toString(), '3')
+    assert.strictEqual(math`${7}%4`.toString(), '3')
+    assert.strictEqual(math`${7}%${4}`.toString(), '3')
+  })
+})
+
+describe(`introspection`, () => {
+  /** @param {string} source */
+  const roundTrip = source => print(parse(source))
+
+  test('parse returns the syntax tree', () => {
+    assert.deepStrictEqual(parse('price * (1 + rate)'), {
+      type: 'binary',
+      op: '*',
+      left: { type: 'variable', name: 'price' },
+      right: {
+        type: 'binary',
+        op: '+',
+        left: { type: 'number', value: '1' },
+        right: { type: 'variable', name: 'rate' },
+      },
+    })
+    assert.throws(() => parse('a > b', { mode: 'math' }), /not as 'math' result/)
+    assert.throws(() => parse('a + b', { variables: ['a'] }), /Unknown variable: b/)
+  })
+
+  test('templates share the cache of math and is', () => {
+    /** @param {TemplateStringsArray} strings */
+    const template = strings => strings
+    const strings = template`${0} * 2 > ${1}`
+    const ast = parse(strings, { mode: 'is' })
+    assert.strictEqual(parse(strings, { mode: 'is' }), ast)
+    assert.strictEqual(is(strings, 3, 5), true)
+    assert.strictEqual(print(ast), '${0} * 2 > ${1}')
+    assert.throws(() => parse(strings, { mode: 'math' }), /not as 'math' result/)
+  })
+
+  test('print adds only the parentheses needed', () => {
+    assert.strictEqual(roundTrip('((a + b)) * (c)'), '(a + b) * c')
+    assert.strictEqual(roundTrip('a - (b - c) + (d - e) - d - e'), 'a - (b - c) + (d - e) - d - e')
+    assert.strictEqual(roundTrip('(a ** b) ** c + a ** (b ** c)'), '(a ** b) ** c + a ** b ** c')
+    assert.strictEqual(roundTrip('-(a * b) + -(-a)'), '-(a * b) + -(-a)')
+    assert.strictEqual(
+      roundTrip('!(a > b && c > d) || (!(a > b))'),
+      '!(a > b && c > d) || !(a > b)'
+    )
+    assert.strictEqual(roundTrip('!(a > b)'), '!(a > b)')
+    assert.strictEqual(roundTrip('!!(a > b) && !(a == b)'), '!!(a > b) && !(a == b)')
+    assert.strictEqual(roundTrip('(a > b ? x : y) * 2'), '(a > b ? x : y) * 2')
+    assert.strictEqual(roundTrip('a < b < c'), 'a < b && b < c')
+  })
+
+  test('print renders every node type', () => {
+    assert.strictEqual(
+      roundTrip('let t = a.b * 2;round(t / 3,2)'),
+      'let t = a.b * 2; round(t / 3, 2)'
+    )
+    assert.strictEqual(roundTrip('(a + 5%) % b'), '(a + 5%) % b')
+    assert.strictEqual(print(parse(['sum(', ') + ', '.total'])), 'sum(${0}) + ${1}.total')
+
+    const { parse: parseUnits } = create(Decimal, { units: { kWh: {}, USD: {} } })
+    assert.strictEqual(print(parseUnits('(a + 2 kWh) * 0.3 USD/kWh')), '(a + 2 kWh) * 0.3 USD/kWh')
+  })
+
+  test('references lists values, variables and functions', () => {
+    assert.deepStrictEqual(references(parse(['max(', ', ', ') + ', ' * rate'])), {
+      values: [0, 1, 2],
+      variables: ['rate'],
+      functions: ['max'],
+    })
+    assert.deepStrictEqual(references(parse('let t = abs(a.x); t + a.y + round(t)')), {
+      values: [],
+      variables: ['a'],
+      functions: ['abs', 'round'],
+    })
+  })
+})
+
+describe(`explain`, () => {
+  test('math.explain returns the result and its derivation', () => {
+    const explained = math.explain`${100} * (1 + ${'0.0825'})`
+    assert.strictEqual(explained.result.toString(), '108.25')
+    assert.strictEqual(String(explained), '108.25 = 100 * 1.0825\n  1.0825 = 1 + 0.0825')
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(explained)), {
+      expression: '${0} * (1 + ${1})',
+      derivation: '100 * 1.0825',
+      result: '108.25',
+      steps: [{ expression: '1 + ${1}', derivation: '1 + 0.0825', result: '1.0825', steps: [] }],
+    })
+  })
+
+  test('is.explain shows both sides of comparisons', () => {
+    const explained = is.explain`${5} + 1 > ${4} * 2 || round(${2.5}) == 3`
+    assert.strictEqual(explained.result, true)
+    assert.strictEqual(
+      String(explained),
+      [
+        'true = false || true',
+        '  false = 6 > 8',
+        '    6 = 5 + 1',
+        '    8 = 4 * 2',
+        '  true = 3 == 3',
+        '    3 = round(2.5)',
+      ].join('\n')
+    )
+  })
+
+  test('skipped branches and no-op steps are left out', () => {
+    assert.strictEqual(
+      String(math.explain`${120} > 100 ? -(${120} - 1) : 0`),
+      ['-119 = true ? -119 : 0', '  true = 120 > 100', '  119 = 120 - 1'].join('\n')
+    )
+    assert.strictEqual(String(math.explain`${5}`), '5')
+    assert.strictEqual(
+      String(math.explain`sum(${[1, 2]} * 2)`),
+      '6 = sum([2, 4])\n  [2, 4] = [1, 2] * 2'
+    )
+  })
+
+  test('results are rounded, steps are not', () => {
+    const explained = math.with({ resultDecimalPlaces: 2 }).explain`${10} / 3`
+    assert.strictEqual(explained.result.toString(), '3.33')
+    assert.strictEqual(explained.trace.result, '3.3333333333333333333')
+  })
+
+  test('money and units show currencies and units', () => {
+    const money = create(moneyAdapter(Decimal))
+    assert.strictEqual(
+      String(money.math.explain`${{ amount: '19.99', currency: 'USD' }} * 3`),
+      '59.97 USD = 19.99 USD * 3'
+    )
+
+    const { math } = create(Decimal, { units: { Wh: {}, kWh: { factor: 1000, unit: 'Wh' } } })
+    assert.strictEqual(
+      String(math.explain`(${2} kWh + 500 Wh) Wh`),
+      '2500 Wh = 2.5 kWh\n  2.5 kWh = 2 kWh + 500 Wh'
+    )
+  })
+})
+
+describe(`derivatives and simplification`, () => {
+  /**
+   * @param {string} source
+   * @param {string} target
+   */
+  const d = (source, target) => print(derivative(source, target))
+
+  test('trees keep literal-only arithmetic as written', () => {
+    assert.strictEqual(print(parse('price * (1 + 0.0825)')), 'price * (1 + 0.0825)')
+    assert.strictEqual(print(parse('x * (1 + 2 * 3) - -(4)')), 'x * (1 + 2 * 3) - -4')
+    assert.strictEqual(evaluate('x * (1 + 2 * 3) - -(4)', { x: 2 }).toString(), '18')
+    assert.strictEqual(
+      String(math.explain`${100} * (1 + 0.0825)`),
+      '108.25 = 100 * 1.0825\n  1.0825 = 1 + 0.0825'
+    )
+    assert.strictEqual(print(bigint.parse('10 / 4 + 2 * 3')), '10 / 4 + 2 * 3')
+    assert.throws(() => bigint.math`10 / 4 + ${1}`, /exact/)
+  })
+
+  test('literal-only arithmetic is evaluated at the current precision', () => {
+    const D = Decimal.clone()
+    const { math } = create(D)
+    assert.strictEqual(math`1 / 3 * ${1}`.toString(), '0.33333333333333333333')
+    assert.strictEqual(math`1.23456 * 1.00001 - 1.2345 + ${0}`.toString(), '0.0000723456')
+    D.set({ precision: 5 })
+    assert.strictEqual(math`1 / 3 * ${1}`.toString(), '0.33333')
+    assert.strictEqual(math`1.23456 * 1.00001 - 1.2345 + ${0}`.toString(), '0.0001')
+    assert.strictEqual(
+      String(math.explain`1.23456 * 1.00001 - 1.2345 + ${0}`.result),
+      math`1.23456 * 1.00001 - 1.2345 + ${0}`.toString()
+    )
+  })
+
+  test('simplify removes identities', () => {
+    assert.strictEqual(print(simplify('x * 1 + 0 - (2 * 3 + 1) + -(-y)')), 'x - 7 + y')
+    assert.strictEqual(print(simplify('(a + b) ** 1 / 1 - 0 * abs(c) - 0 * c')), 'a + b - 0 * c')
+    assert.strictEqual(print(simplify('-1 * x + 1 ** 5 + x ** 0')), '-x + 1 + x ** 0')
+  })
+
+  test('sum, product, quotient and power rules', () => {
+    assert.strictEqual(d('price - cost', 'cost'), '-1')
+    assert.strictEqual(d('(price - cost) / price', 'cost'), '-1 / price')
+    assert.strictEqual(
+      d('(price - cost) / price', 'price'),
+      '(price - (price - cost)) / price ** 2'
+    )
+    assert.strictEqual(d('price * qty * (1 - discount)', 'qty'), 'price * (1 - discount)')
+    assert.strictEqual(d('x ** 3 + 2 * x', 'x'), '3 * x ** 2 + 2')
+    assert.strictEqual(d('2 ** x', 'x'), '2 ** x * ln(2)')
+    assert.strictEqual(d('x ** x', 'x'), 'x ** x * (ln(x) + x / x)')
+  })
+
+  test('functions, conditionals, let and property paths', () => {
+    assert.strictEqual(d('abs(x - 5) + sqrt(x)', 'x'), 'sign(x - 5) + 1 / (2 * sqrt(x))')
+    assert.strictEqual(d('round(x, 2) + max(y, 1) * x', 'x'), 'max(y, 1)')
+    assert.strictEqual(d('x > 5 ? x * 2 : 3', 'x'), 'x > 5 ? 2 : 0')
+    assert.strictEqual(d('let margin = price - cost; margin * qty', 'cost'), '-qty')
+    assert.strictEqual(d('order.total * 2', 'order.total'), '2')
+    assert.throws(() => d('max(x, 1)', 'x'), /Cannot differentiate max\(\)/)
+    assert.throws(() => d('x > 1', 'x'), /requires a numeric expression/)
+
+    const { derivative } = create(Decimal, {
+      functions: {
+        cube: {
+          arity: 1,
+          fn: x => x.pow(3),
+          derivative: ([x], [dx]) => ({
+            type: 'binary',
+            op: '*',
+            left: { type: 'binary', op: '*', left: { type: 'number', value: '3' }, right: x },
+            right: dx,
+          }),
+        },
+      },
+    })
+    assert.strictEqual(print(derivative('cube(2 * x)', 'x')), '3 * (2 * x) * 2')
+  })
+
+  test('derivatives of templates compile with the same values', () => {
+    /** @param {TemplateStringsArray} strings */
+    const template = strings => strings
+    const margin = derivative(template`${0} * ${1} - ${2}`, 1)
+    assert.strictEqual(print(margin), '${0}')
+    assert.strictEqual(compile(margin, 2, 3, 4)().toString(), '2')
+    assert.strictEqual(compile(derivative('x ** 2', 'x'))({ x: 3 }).toString(), '6')
+  })
+})
+
+describe(`solve`, () => {
+  const loan = [200000, 360, '1199.10']
+
+  test('finds the unknown of an equation with each method', () => {
+    for (const method of /** @type {const} */ (['bisection', 'newton', 'secant'])) {
+      const [p, n, payment] = loan
+      const rate = solve.with({ bounds: ['0.0001', 1], method })`
+        ${p} * r / (1 - (1 + r) ** -${n}) == ${payment}
+      `
+      assert.strictEqual(rate.toDecimalPlaces(15).toString(), '0.004999993193119', method)
+    }
+    assert.strictEqual(solve`(price - ${80}) / price == 0.2`.toString(), '100')
+    assert.strictEqual(
+      solve.with({ method: 'newton' })`x ** 2 == 2`.toString(),
+      '1.4142135623730950488'
+    )
+    assert.strictEqual(solve`let y = x * 2; max(y, 1) + 1 == 7`.toString(), '3')
+    assert.ok(solve`x - 5`.eq(5))
+  })
+
+  test('steps inward from bounds where the equation is undefined', () => {
+    const [p, n, payment] = loan
+    const rate = solve`${p} * r / (1 - (1 + r) ** -${n}) == ${payment}`
+    assert.strictEqual(rate.toDecimalPlaces(15).toString(), '0.004999993193119')
+    assert.strictEqual(solve`1 / x == 4`.toString(), '0.25')
+  })
+
+  test('tolerance, precision and result decimal places', () => {
+    const root = solve.with({
+      method: 'bisection',
+      bounds: [1, 2],
+      tolerance: '0.001',
+    })`x ** 2 == 2`
+    assert.ok(root.sub('1.41421356').abs().lte('0.001'))
+    const precise = solve.with({ precision: 40 })`x ** 2 == 2`
+    assert.ok(precise.sub('1.414213562373095048801688724209698078570').abs().lte('1e-39'))
+    assert.strictEqual(
+      create(Decimal, { resultDecimalPlaces: 4 }).solve`x ** 2 == 2`.toString(),
+      '1.4142'
+    )
+    assert.strictEqual(big.solve`x ** 2 == 2`.toString(), '1.41421356237309504881')
+  })
+
+  test('reports unbracketed roots and invalid equations', () => {
+    assert.throws(
+      () => solve.with({ bounds: [-1, 1] })`x ** 2 == 2`,
+      /solve\(\) found no root of x between -1 and 1/
+    )
+    assert.throws(
+      () => solve.with({ bounds: [0, 4] })`ln(x - 5) == 1`,
+      /solve\(\) at x = 0 can't be evaluated/
+    )
+    assert.throws(
+      () => solve.with({ method: 'bisection', maxIterations: 5 })`x ** 2 == 2`,
+      /solve\(\) at x did not converge in 5 iterations/
+    )
+    assert.throws(
+      () => solve.with({ method: /** @type {any} */ ('foo') }),
+      /Unknown solve\(\) method: foo, expected bisection, newton, secant/
+    )
+    assert.throws(() => solve`x + y == 2`, /requires one unknown name.*found: x, y/)
+    assert.throws(() => solve`x > 2`, /requires an equation with '=='/)
+  })
+})
+
+describe(`finance functions`, () => {
+  /**
+   * @param {Decimal} x
+   * @param {number} dp
+   */
+  const fixed = (x, dp) => x.toFixed(dp)
+
+  test('annuities match spreadsheet results', () => {
+    assert.strictEqual(fixed(math`pmt(0.05 / 12, 360, 200000)`, 2), '-1073.64')
+    assert.strictEqual(fixed(math`pmt(0.05 / 12, 360, 200000, 0, 1)`, 2), '-1069.19')
+    assert.strictEqual(fixed(math`fv(0.06 / 12, 10, -200, -500, 1)`, 2), '2581.40')
+    assert.strictEqual(fixed(math`pv(0.08 / 12, 12 * 20, 500)`, 2), '-59777.15')
+    assert.strictEqual(fixed(math`nper(0.12 / 12, -100, -1000, 10000, 1)`, 4), '59.6739')
+    assert.strictEqual(fixed(math`rate(48, -200, 8000)`, 8), '0.00770147')
+  })
+
+  test('zero rate', () => {
+    assert.strictEqual(math`pmt(0, 10, 1000)`.toString(), '-100')
+    assert.strictEqual(math`fv(0, 10, -100)`.toString(), '1000')
+    assert.strictEqual(math`pv(0, 10, -100, -500)`.toString(), '1500')
+    assert.strictEqual(math`nper(0, -100, 1000)`.toString(), '10')
+  })
+
+  test('cash flows', () => {
+    assert.strictEqual(fixed(math`npv(0.1, -10000, ${[3000, 4200, 6800]})`, 2), '1188.44')
+    assert.strictEqual(
+      fixed(math`irr(${[-70000, 12000, 15000, 18000, 21000, 26000]})`, 9),
+      '0.086630948'
+    )
+    assert.throws(() => math`irr(${[1, 2]})`, /one negative and one positive cash flow/)
+    assert.throws(() => math`irr(${[-100, 0.5]})`, /irr\(\) found no rate between -0.99 and 10/)
+  })
+
+  test('dated cash flows', () => {
+    const flows = [-10000, 2750, 4250, 3250, 2750]
+    const dates = [
+      new Date(2008, 0, 1),
+      new Date(2008, 2, 1),
+      new Date(2008, 9, 30),
+      new Date(2009, 1, 15),
+      new Date(2009, 3, 1),
+    ]
+    assert.strictEqual(fixed(math`xnpv(0.09, ${flows}, ${dates})`, 2), '2086.65')
+    assert.strictEqual(fixed(math`xirr(${flows}, ${dates})`, 9), '0.373362534')
+    // Days, e.g. spreadsheet date serials
+    assert.strictEqual(fixed(math`xnpv(0.09, ${[-100, 110]}, ${[39448, 39448 + 365]})`, 2), '0.92')
+    assert.throws(() => math`xnpv(0.09, ${flows}, ${dates.slice(1)})`, /a date for each value/)
+  })
+
+  test('money and other adapters', () => {
+    const money = create(moneyAdapter(Decimal))
+    assert.deepStrictEqual(
+      money.math`pmt(0.05 / 12, 360, ${{ amount: 200000, currency: 'USD' }})`,
+      { amount: new Decimal('-1073.64'), currency: 'USD' }
+    )
+    assert.strictEqual(big.math`pmt(0.05 / 12, 360, 200000)`.toFixed(2), '-1073.64')
+    assert.throws(
+      () => big.math`nper(0.1, -100, 1000)`,
+      /nper\(\) is not supported by the big.js adapter/
+    )
+  })
+})
+
+describe(`statistics functions`, () => {
+  const xs = [2, 4, 4, 4, 5, 5, 7, 9]
+
+  test('count, median and percentile', () => {
+    assert.strictEqual(math`count(${xs})`.toString(), '8')
+    assert.strictEqual(math`count(${[]}, 1, 2)`.toString(), '2')
+    assert.strictEqual(math`median(${xs})`.toString(), '4.5')
+    assert.strictEqual(math`median(${[3, 1, 2]})`.toString(), '2')
+    assert.strictEqual(math`percentile(${xs}, 95)`.toString(), '8.3')
+    assert.strictEqual(math`percentile(${xs}, 0)`.toString(), '2')
+    assert.strictEqual(math`percentile(${xs}, 100)`.toString(), '9')
+    assert.strictEqual(math`percentile(${[10]}, 50)`.toString(), '10')
+  })
+
+  test('variance and standard deviation of a sample', () => {
+    assert.strictEqual(math`variance(${xs})`.toString(), '4.5714285714285714286')
+    assert.strictEqual(math`variance(${[1, 2]}, 3)`.toString(), '1')
+    assert.strictEqual(math`stddev(${[1, 2, 3]})`.toString(), '1')
+  })
+
+  test('weighted average', () => {
+    assert.strictEqual(math`weighted_avg(${[10, 20]}, ${[3, 1]})`.toString(), '12.5')
+    assert.throws(
+      () => math`weighted_avg(${[10, 20]}, ${[1]})`,
+      /weighted_avg\(\) requires a weight for each value/
+    )
+    assert.throws(() => math`weighted_avg(${[10, 20]}, ${[1, -1]})`, /weights not summing to zero/)
+  })
+
+  test('array elements are cast exactly', () => {
+    assert.strictEqual(math`sum(${['0.1', 0.2, new Decimal('0.3')]})`.toString(), '0.6')
+    assert.strictEqual(math`median(${['0.1', '0.2']})`.toString(), '0.15')
+    assert.throws(() => math`sum(${['abc']})`, /Invalid argument: abc/)
+  })
+
+  test('empty arrays', () => {
+    assert.throws(() => math`median(${[]})`, /median\(\) requires at least one value/)
+    assert.throws(() => math`percentile(${[]}, 50)`, /requires at least one value/)
+    assert.throws(() => math`variance(${[1]})`, /variance\(\) requires at least two values/)
+    assert.throws(() => math`percentile(${xs}, 101)`, /percent between 0 and 100/)
+  })
+
+  test('money and other adapters', () => {
+    const money = create(moneyAdapter(Decimal))
+    const prices = [1, 2, 10].map(amount => ({ amount, currency: 'EUR' }))
+    assert.deepStrictEqual(money.math`median(${prices})`, {
+      amount: new Decimal(2),
+      currency: 'EUR',
+    })
+    assert.deepStrictEqual(money.math`weighted_avg(${prices}, ${[1, 1, 1]})`, {
+      amount: new Decimal('4.33'),
+      currency: 'EUR',
+    })
+    assert.strictEqual(big.math`stddev(${[1, 2, 3]})`.toString(), '1')
+    assert.strictEqual(bigint.math`median(${[1n, 5n, 3n]})`, 3n)
+    assert.throws(() => bigint.math`stddev(${[1n]})`, /stddev\(\) is not supported/)
+  })
+})
+
+describe(`build plugins`, () => {
+  const source = [
+    `import { math, is as check } from 'decimation/decimal.js'`,
+    `import * as b from 'decimation/big.js'`,
+    `// math\`1 +\``,
+    'const slash = /`/g',
+    'const order = { total: 5, items: [{ price: 1 }, { price: 2 }] }',
+    'export const total = math`${order}.total * (1 + 0.5)',
+    '  + sum(${order.items}.price)`',
+    'export const bigger = check`${2} > ${math`${1} + 0.5`}`',
+    'export const third = b.math`${2} / 3`',
+    'export const doubled = math`${[1, 2]} * 2`',
+  ].join('\n')
+
+  /**
+   * Imports rewritten code with decimation resolved to the sources
+   * @param {string} code
+   */
+  const load = code =>
+    import(
+      `data:text/javascript,${encodeURIComponent(
+        code.replace(/'decimation\/([^']+)'/g, (_, entry) =>
+          JSON.stringify(new URL(`../src/${entry}`, import.meta.url).href)
+        )
+      )}`
+    )
+
+  test('transform() precompiles templates, keeping lines in place', async () => {
+    const code = /** @type {string} */ (transform(source, 'a.js'))
+    assert.match(code, /math\(\(__decimation0 \|\| \(__decimation0 = math\.precompiled\(/)
+    assert.doesNotMatch(code, /\?\?=/)
+    // Constants stay as written, so runtime precision applies
+    assert.match(code, /"constants":\["1","0\.5"\]/)
+    assert.match(code, /b\.math\.precompiled\(/)
+    assert.match(code, /\/\/ math`1 \+`/)
+    assert.strictEqual(code.split('\n').indexOf('const slash = /`/g'), 3)
+    assert.match(code.split('\n')[8], /^export const third/)
+
+    const module = await load(code)
+    assert.strictEqual(module.total.toString(), '10.5')
+    assert.strictEqual(module.bigger, true)
+    assert.strictEqual(module.third.toString(), '0.66666666666666666667')
+    // Arrays take the interpreter path
+    assert.deepStrictEqual(module.doubled.map(String), ['2', '4'])
+  })
+
+  test('check() locates template errors', () => {
+    const code = [
+      `import { math } from 'decimation/decimal.js'`,
+      `import { math as bigMath } from 'decimation/big.js'`,
+      'math`1 +',
+      '  ${2} * foo(1)`',
+      'bigMath`ln(${2})`',
+      'other`1 +`',
+    ].join('\n')
+    assert.deepStrictEqual(check(code, 'a.js'), [
+      {
+        file: 'a.js',
+        line: 4,
+        column: 9,
+        message: 'Unknown function: foo',
+        snippet: '    ${…} * foo(1)\n           ^^^',
+      },
+      {
+        file: 'a.js',
+        line: 5,
+        column: 8,
+        message: 'ln() is not supported by the big.js adapter',
+        snippet: '  ln(${…})\n  ^^',
+      },
+    ])
+    assert.throws(() => transform(code, 'a.js'), /^BuildError: a\.js:4:10: Unknown function: foo/)
+  })
+
+  test('create() results without options are checked', () => {
+    const code = [
+      `import { create, bigintAdapter } from 'decimation'`,
+      `import Decimal from 'decimal.js'`,
+      `import Big from 'big.js'`,
+      'const { math: m } = create(Decimal)',
+      'const custom = create(Decimal, { functions })',
+      'const integers = create(bigintAdapter)',
+      'const big = create(Big)',
+      'const other = create(Unknown)',
+      'm`1 +`',
+      'custom.math`pct(1)`',
+      'integers.math`ln(2)`',
+      'big.math`pct(1)`',
+      'other.math`pct(1)`',
+    ].join('\n')
+    assert.deepStrictEqual(
+      check(code).map(({ line, message }) => [line, message]),
+      [
+        [9, 'Unexpected token: EOF'],
+        [11, 'ln() is not supported by the bigint adapter'],
+      ]
+    )
+  })
+
+  test('precompiled templates evaluate without parsing', () => {
+    const template = math.precompiled(['', ' twice'], {
+      constants: ['2'],
+      functions: [],
+      evaluate: (_D, o, c) => v => o.mul(v[0], c[0]),
+    })
+    assert.strictEqual(math(template, 21).toString(), '42')
+    assert.throws(() => math.explain(template, 21), /twice/)
+    assert.strictEqual(math.precompile(['', ' ** 2'])?.source.includes('o.pow(v[0], c[0])'), true)
+  })
+
+  test('plugins', () => {
+    const vite = vitePlugin()
+    assert.strictEqual(vite.transform.call({}, source, '/app/node_modules/a.js'), null)
+    assert.match(vite.transform.call({}, source, 'a.ts?v=1')?.code ?? '', /precompiled/)
+    assert.throws(
+      () =>
+        vite.transform.call(
+          {
+            /** @param {any} error */
+            error(error) {
+              throw Object.assign(new Error(error.message), error)
+            },
+          },
+          `import { is } from 'decimation/bigint'\nis\`\${1}\``,
+          'a.js'
+        ),
+      {
+        message: /^a\.js:2:4: 'is' template requires a comparison operator/,
+        loc: { file: 'a.js', line: 2, column: 3 },
+      }
+    )
+    const babel = babelPlugin()
+    assert.match(
+      babel.parserOverride(source, { sourceFileName: 'a.js' }, code => code),
+      /math\.precompiled/
+    )
+  })
+})
+
+describe(`numeric literals`, () => {
+  test('scientific notation, separators and leading dots', () => {
+    assert.strictEqual(math`${2} * 1e-8`.toString(), '2e-8')
+    assert.strictEqual(math`${1} + 1.5E+3`.toString(), '1501')
+    assert.strictEqual(math`${1} + 1_000_000`.toString(), '1000001')
+    assert.strictEqual(math`${1} + 0.000_001`.toString(), '1.000001')
+    assert.strictEqual(math`${2} * .5`.toString(), '1')
+    assert.strictEqual(math`${200} * 15%`.toString(), '30')
+  })
+
+  test('hex and binary integers', () => {
+    assert.strictEqual(math`${1} + 0xff`.toString(), '256')
+    assert.strictEqual(math`${1} + 0b1010`.toString(), '11')
+    assert.strictEqual(math`${1} + 0xFFFF_FFFF_FFFF_FFFF`.toString(), '18446744073709551616')
+    assert.strictEqual(bigint.math`${1n} + 0xff`, 256n)
+  })
+
+  test('malformed literals are reported', () => {
+    for (const literal of ['1.2.3', '1__000', '1_', '1._5', '0b102', '0xfg', '0x']) {
+      assert.throws(
+        () => math([`${literal} + `, ''], 1),
+        error =>
+          error instanceof DecimationSyntaxError &&
+          error.message.startsWith(`Invalid number: ${literal} (segment 0, column 0)`) &&
+          error.token === literal
+      )
+    }
+    assert.throws(() => math`${1} + 3.4.5`, /Invalid number: 3\.4\.5 \(segment 1, column 3\)/)
+  })
+
+  test('interpolated numbers must convert exactly', () => {
+    assert.throws(
+      () => math`${NaN} + 1`,
+      /^DecimationInputError: \$\{0\} is NaN, expected a finite number/
+    )
+    assert.throws(() => math`1 + ${1} + ${-Infinity}`, /\$\{1\} is -Infinity/)
+    assert.throws(() => math`sum(${[1, 2 ** 53 + 2]})`, /\$\{0\}\[1\] is 9007199254740994, beyond/)
+    assert.throws(() => math`${{ total: 1e300 }}.total * 2`, /\$\{0\}\.total is 1e\+300/)
+    assert.throws(() => evaluate('price * 2', { price: NaN }), /price is NaN/)
+    assert.strictEqual(math`${2 ** 53 - 1} + ${'2'}`.toString(), '9007199254740993')
+    assert.strictEqual(math`${9007199254740993n} + 0`.toString(), '9007199254740993')
+
+    const lenient = create(Decimal, { input: { unsafeNumbers: true } })
+    assert.strictEqual(lenient.math`${Infinity} + 1`.toString(), 'Infinity')
+    // Converted from the shortest string of the number, not 2 ** 60
+    assert.strictEqual(
+      lenient.math.with({ precision: 30 })`${2 ** 60} + 0`.toString(),
+      '1152921504606847000'
+    )
+  })
+})
+
+describe(`input policy`, () => {
+  test('values are checked before conversion, naming their slot', () => {
+    assert.throws(
+      () => math`${1} * (1 + ${undefined})`,
+      error =>
+        error instanceof DecimationInputError &&
+        error.message ===
+          '${1} is undefined, expected a number, string, bigint or decimal.js value\n\n' +
+            '  ${…} * (1 + ${…})\n' +
+            '              ^^^^' &&
+        error.location === '${1}' &&
+        error.index === 1
+    )
+    assert.throws(() => is`${null} > 1`, /\$\{0\} is null/)
+    assert.throws(() => math`${true} + 1`, /\$\{0\} is true/)
+    assert.throws(
+      () => math`${{}} + 1`,
+      error =>
+        error instanceof DecimationInputError &&
+        error.message.startsWith("${0} can't be converted: [DecimalError] Invalid argument") &&
+        error.cause instanceof Error
+    )
+    assert.throws(
+      () => evaluate('price * 2', { price: null }),
+      /^DecimationInputError: price is null, expected a number, string, bigint or decimal.js value$/
+    )
+  })
+
+  test('array elements are converted, naming their slot', () => {
+    assert.throws(
+      () => math`sum(${['1', 'x']})`,
+      error =>
+        error instanceof DecimationInputError &&
+        error.message.startsWith("${0}[1] can't be converted: [DecimalError] Invalid argument") &&
+        error.location === '${0}[1]'
+    )
+    assert.throws(
+      () => evaluate('median(prices)', { prices: ['1', {}] }),
+      /^DecimationInputError: prices\[1\] can't be converted/
+    )
+    assert.strictEqual(math`sum(${['1', 2n, new Decimal('0.5')]})`.toString(), '3.5')
+  })
+
+  test('numbers with float error are rejected', () => {
+    assert.throws(
+      () => math`${0.1 + 0.2} * 2`,
+      /\$\{0\} is 0.30000000000000004, more than 15 significant digits/
+    )
+    assert.strictEqual(math`${0.1} + ${123456789.012345}`.toString(), '123456789.112345')
+    assert.strictEqual(math`${2 ** 53 - 1} + 0`.toString(), '9007199254740991')
+    assert.strictEqual(math`${1.5e-20} * 2`.toString(), '3e-20')
+
+    const { math: precise } = create(Decimal, { input: { maxDigits: 17 } })
+    assert.strictEqual(precise`${0.1 + 0.2} * 1`.toString(), '0.30000000000000004')
+  })
+
+  test('strict input forbids numbers', () => {
+    const { math, compile } = create(Decimal, { input: { strict: true } })
+    assert.strictEqual(math`${'0.1'} + ${10n} + ${new Decimal(1)}`.toString(), '11.1')
+    assert.throws(() => math`${'1'} + ${2}`, /\$\{1\} is the number 2, strict input requires/)
+    assert.throws(() => compile('sum(xs)')({ xs: ['1', 2] }), /xs\[1\] is the number 2/)
+  })
+
+  test('bigints can be denied', () => {
+    const { math } = create(Decimal, { input: { bigint: false } })
+    assert.throws(() => math`${1n} + 1`, /\$\{0\} is a bigint, not accepted/)
+  })
+
+  test('coerce replaces values before checks', () => {
+    const { math } = create(Decimal, {
+      input: {
+        coerce: (value, location) => {
+          if (value === null) return 0
+          if (typeof value === 'number') return value.toFixed(2)
+          assert.match(location, /^\$\{\d\}/)
+          return value
+        },
+      },
+    })
+    assert.strictEqual(math`${null} + ${0.1 + 0.2}`.toString(), '0.3')
+    assert.strictEqual(math`sum(${[null, 0.1 + 0.2, '1']})`.toString(), '1.3')
+  })
+
+  test('array elements are checked', () => {
+    assert.throws(
+      () => math`sum(${[1, undefined]})`,
+      error =>
+        error instanceof DecimationInputError &&
+        error.location === '${0}[1]' &&
+        error.snippet === '  sum(${…})\n      ^^^^'
+    )
+    assert.throws(() => math`sum(${[{ price: 0.1 + 0.2 }]}.price)`, /\$\{0\}\.price\[0\] is 0\.3/)
+  })
+})
+
+describe(`sql template tag`, () => {
+  test('columns and parameters cast to NUMERIC', () => {
+    const query = sql`price * (1 + tax) > ${'10.50'}`
+    assert.strictEqual(
+      query.text,
+      'CAST("price" AS NUMERIC) * (CAST(1 AS NUMERIC) + CAST("tax" AS NUMERIC)) > CAST($1 AS NUMERIC)'
+    )
+    assert.strictEqual(query.sql, query.text.replace('$1', '?'))
+    assert.deepStrictEqual(query.values, ['10.5'])
+  })
+
+  test('operators', () => {
+    const query = sql`a ** 2 / ${{ rate: 3 }}.rate% >= 0 && !(a == b) || c != 1 ? -(a - b) : 0`
+    assert.strictEqual(
+      query.text,
+      'CASE WHEN POWER(CAST("a" AS NUMERIC), CAST(2 AS NUMERIC)) / (CAST($1 AS NUMERIC) / ' +
+        'CAST(100 AS NUMERIC)) >= CAST(0 AS NUMERIC) AND NOT CAST("a" AS NUMERIC) = ' +
+        'CAST("b" AS NUMERIC) OR CAST("c" AS NUMERIC) <> CAST(1 AS NUMERIC) ' +
+        'THEN -(CAST("a" AS NUMERIC) - CAST("b" AS NUMERIC)) ELSE CAST(0 AS NUMERIC) END'
+    )
+    assert.deepStrictEqual(query.values, ['3'])
+    assert.strictEqual(sql`a - -b`.text, 'CAST("a" AS NUMERIC) - -CAST("b" AS NUMERIC)')
+    assert.strictEqual(sql`-(-a)`.text, '-(-CAST("a" AS NUMERIC))')
+    assert.strictEqual(
+      sql`a / b% + (a + b)%`.text,
+      'CAST("a" AS NUMERIC) / (CAST("b" AS NUMERIC) / CAST(100 AS NUMERIC)) + ' +
+        '((CAST("a" AS NUMERIC) + CAST("b" AS NUMERIC)) / CAST(100 AS NUMERIC))'
+    )
+    assert.strictEqual(math`${10} / ${50}%`.toString(), '20')
+  })
+
+  test('functions', () => {
+    assert.strictEqual(
+      sql`round(order.total * qty, 2) + clamp(x, ${'0'}, 100) - ceil(abs(y))`.text,
+      'ROUND(CAST("order"."total" AS NUMERIC) * CAST("qty" AS NUMERIC), 2) + ' +
+        'GREATEST(LEAST(CAST("x" AS NUMERIC), CAST(100 AS NUMERIC)), CAST($1 AS NUMERIC)) - ' +
+        'CEIL(ABS(CAST("y" AS NUMERIC)))'
+    )
+    assert.strictEqual(
+      sql`floor(max(a, b)) + round(a, places)`.text,
+      'FLOOR(GREATEST(CAST("a" AS NUMERIC), CAST("b" AS NUMERIC))) + ' +
+        'ROUND(CAST("a" AS NUMERIC), CAST(CAST("places" AS NUMERIC) AS INTEGER))'
+    )
+  })
+
+  test('let is inlined', () => {
+    assert.strictEqual(
+      sql`let net = a - b; net * 2`.text,
+      '(CAST("a" AS NUMERIC) - CAST("b" AS NUMERIC)) * CAST(2 AS NUMERIC)'
+    )
+  })
+
+  test('untranslatable templates', () => {
+    assert.throws(() => sql`pmt(a, b, c)`, /SQL has no pmt\(\), supported: abs\(\)/)
+    assert.throws(() => sql`ceil(a, 2)`, /SQL CEIL has no decimal places/)
+    assert.throws(() => sql`round(a, 2, 4)`, /SQL ROUND has no rounding mode/)
+    assert.throws(() => sql`sum(${['1', '2']})`, /SQL has no sum\(\)/)
+    assert.throws(() => sql`${['1']} + 1`, /SQL parameters can't be arrays, found one at \$\{0\}/)
+    assert.throws(() => sql`a * ${0.1 + 0.2}`, DecimationInputError)
+  })
+})
+
+describe(`formulas`, () => {
+  test('from a template, with values as decimal strings', () => {
+    const fee = Formula.from`${{ base: '2.50' }}.base + amount * ${0.015}`
+    assert.strictEqual(String(fee), '${0} + amount * ${1}')
+    assert.deepStrictEqual(fee.values, ['2.5', '0.015'])
+    assert.deepStrictEqual(fee.inputs, ['amount'])
+    assert.strictEqual(fee.evaluate({ amount: '100' }).toString(), '4')
+  })
+
+  test('from a string, with is semantics', () => {
+    const limit = Formula.from('total > limit * 2 && count(items) < 10')
+    assert.deepStrictEqual(limit.inputs, ['total', 'limit', 'items'])
+    assert.strictEqual(limit.test({ total: 250, limit: 100, items: ['1', '2'] }), true)
+    assert.throws(() => limit.evaluate({}), /evaluate\(\) requires a numeric formula/)
+    assert.throws(() => Formula.from('a + 1').test({ a: 1 }), /test\(\) requires a comparison/)
+    assert.throws(() => Formula.from('a + b', { variables: ['a'] }), DecimationSyntaxError)
+  })
+
+  test('JSON round trip', () => {
+    const fee = Formula.from`sum(${['1', '2.0']}) * rate + ${'0.50'}`
+    const json = JSON.parse(JSON.stringify(fee))
+    assert.deepStrictEqual(json, {
+      version: 1,
+      source: 'sum(${0}) * rate + ${1}',
+      ast: parse(['sum(', ') * rate + ', '']),
+      values: [['1', '2'], '0.5'],
+    })
+    const restored = Formula.fromJSON(JSON.stringify(fee))
+    assert.ok(restored.equals(fee))
+    assert.strictEqual(restored.evaluate({ rate: '0.5' }).toString(), '2')
+  })
+
+  test('equality and hash', () => {
+    const a = Formula.from`price * ${'1.10'}`
+    const b = Formula.fromJSON({ version: 1, source: '', ast: a.ast, values: ['1.1'] })
+    assert.ok(a.equals(b))
+    assert.strictEqual(a.hash, b.hash)
+    assert.match(a.hash, /^[0-9a-f]{16}$/)
+    assert.strictEqual(a.hash, '66a37ef73a2bd275')
+    const reordered = JSON.parse(JSON.stringify({ values: ['1.1'], ast: a.ast, version: 1 }))
+    assert.strictEqual(Formula.fromJSON(reordered).hash, a.hash)
+    const c = Formula.from`price * ${'1.2'}`
+    assert.ok(!a.equals(c))
+    assert.notStrictEqual(a.hash, c.hash)
+    assert.ok(!Formula.from('price * 1.1').equals(a))
+  })
+
+  test('invalid JSON is rejected', () => {
+    const { ast } = Formula.from`pmt(r, n, ${'1000'})`
+    /** @param {any} data */
+    const restore = data => () =>
+      Formula.fromJSON({ version: 1, source: '', ast, values: ['1'], ...data })
+    assert.throws(restore({ version: 2 }), /Formula version 2 isn't supported, expected 1/)
+    assert.throws(restore({ values: [] }), /Invalid formula: \$\{0\} has no value/)
+    assert.throws(restore({ values: [1] }), /values must be decimal strings, found number/)
+    assert.throws(restore({ ast: { ...ast, name: 'fetch' } }), /unknown function fetch\(\)/)
+    assert.throws(restore({ ast: { ...ast, args: [] } }), /pmt\(\) requires 3 to 5 arguments/)
+    assert.throws(restore({ ast: { type: 'eval' } }), /unknown node type "eval"/)
+    assert.throws(restore({ ast: { type: 'number', value: '1; x' } }), /invalid number "1; x"/)
+    assert.throws(
+      restore({ ast: { type: 'binary', op: 'constructor', left: ast, right: ast } }),
+      /invalid binary operator constructor/
+    )
+    const { Formula: BigintFormula } = create(bigintAdapter)
+    assert.throws(
+      () => BigintFormula.fromJSON(Formula.from('ln(x)').toJSON()),
+      /unknown function ln/
+    )
+  })
+
+  test('unit names are checked against the units of the instance', () => {
+    const unit = "x' + (globalThis.pwned = 'yes') + '"
+    const ast = { type: 'unit', unit, operand: { type: 'number', value: '1' } }
+    const tampered = { version: 1, source: '', ast, values: [] }
+    assert.throws(() => Formula.fromJSON(tampered).evaluate(), /Invalid formula: unknown unit/)
+    const { Formula: UnitFormula, compile: compileUnits } = create(Decimal, { units: { Wh: {} } })
+    assert.throws(() => UnitFormula.fromJSON(tampered), /Invalid formula: unknown unit/)
+    assert.throws(() => compileUnits(/** @type {any} */ (ast))(), DecimationSyntaxError)
+    assert.strictEqual(/** @type {any} */ (globalThis).pwned, undefined)
+    const energy = { type: 'unit', unit: 'Wh/Wh', operand: { type: 'number', value: '2' } }
+    assert.throws(
+      () => Formula.fromJSON({ ...tampered, ast: energy }),
+      /Invalid formula: unknown unit "Wh\/Wh"/
+    )
+    assert.strictEqual(
+      UnitFormula.fromJSON({ ...tampered, ast: energy })
+        .evaluate()
+        .toString(),
+      '2'
+    )
+  })
+
+  test('operand kinds are checked like the parser does', () => {
+    /** @param {any} ast */
+    const restore = ast => () => Formula.fromJSON({ version: 1, source: '', ast, values: [] })
+    const one = { type: 'number', value: '1' }
+    const less = { type: 'binary', op: '<', left: one, right: one }
+    assert.throws(
+      restore({ type: 'binary', op: '+', left: one, right: less }),
+      /Invalid formula: operator '\+' requires numeric operands/
+    )
+    assert.throws(
+      restore({ type: 'binary', op: '<', left: less, right: one }),
+      /operator '<' requires numeric operands/
+    )
+    assert.throws(
+      restore({ type: 'logical', op: '&&', left: less, right: one }),
+      /operator '&&' requires comparison operands/
+    )
+    assert.throws(restore({ type: 'unary', op: '!', operand: one }), /operator '!' requires/)
+    assert.throws(
+      restore({ type: 'conditional', test: one, consequent: one, alternate: one }),
+      /condition of '\?' requires comparison operands/
+    )
+    assert.throws(
+      restore({ type: 'conditional', test: less, consequent: one, alternate: less }),
+      /branches must both be numbers or both be comparisons/
+    )
+    assert.throws(
+      restore({ type: 'function', name: 'abs', args: [less] }),
+      /abs\(\) requires numeric operands/
+    )
+    assert.strictEqual(
+      Formula.fromJSON(Formula.from('a < 1 < b ? 1 : 2').toJSON())
+        .evaluate({ a: 0, b: 2 })
+        .toString(),
+      '1'
+    )
+  })
+
+  test('money and quantity values', () => {
+    const { Formula: MoneyFormula } = create(moneyAdapter(Decimal))
+    const fee = MoneyFormula.from`${{ amount: '2.50', currency: 'USD' }} + amount * ${'0.015'}`
+    assert.deepStrictEqual(fee.values, [{ amount: '2.5', currency: 'USD' }, '0.015'])
+    const restored = MoneyFormula.fromJSON(JSON.stringify(fee))
+    assert.ok(restored.equals(fee))
+    const total = restored.evaluate({ amount: { amount: '100', currency: 'USD' } })
+    assert.deepStrictEqual(MoneyFormula.from`${total}`.values, [{ amount: '4', currency: 'USD' }])
+
+    const { Formula: UnitFormula } = create(Decimal, {
+      units: { Wh: {}, kWh: { factor: 1000, unit: 'Wh' } },
+    })
+    const energy = UnitFormula.from`${{ value: '2.5', unit: 'kWh' }} + used`
+    assert.deepStrictEqual(energy.values, [{ value: '2.5', unit: 'kWh' }])
+    const stored = UnitFormula.fromJSON(JSON.stringify(energy))
+    assert.ok(stored.equals(energy))
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(stored.evaluate({ used: { value: '500', unit: 'Wh' } }))),
+      { value: '3', unit: 'kWh' }
+    )
+  })
+
+  test('defineFormula', () => {
+    const fee = defineFormula('round(price * (1 + tax), 2) + sum(extras)')
+    assert.ok(fee instanceof Formula)
+    assert.deepStrictEqual(fee.inputs, ['price', 'tax', 'extras'])
+    const total = fee.evaluate({ price: '19.99', tax: new Decimal('0.0825'), extras: ['1', 2] })
+    assert.ok(total instanceof Decimal)
+    assert.strictEqual(total.toString(), '24.64')
+    assert.strictEqual(defineFormula('a > b').test({ a: 2, b: 1 }), true)
+    assert.throws(
+      () => defineFormula(/** @type {any} */ (['a'])),
+      /defineFormula\(\) requires a string, use Formula.from\(\)/
+    )
+  })
+})
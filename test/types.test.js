@@ -0,0 +1,70 @@
+// Type tests, checked by `npm run typecheck`: each @ts-expect-error line must fail to type check
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import Decimal from 'decimal.js'
+import { math, defineFormula } from '../src/decimal.js'
+
+/**
+ * @template {string} S
+ * @typedef {import('../src/decimal.js').FormulaInputs<S>} FormulaInputs
+ */
+
+describe(`types`, () => {
+  test('math returns the library type', () => {
+    /** @type {Decimal} */
+    const total = math`${'19.99'} * ${new Decimal(3)}`
+    assert.strictEqual(total.toFixed(2), '59.97')
+    /** @type {Decimal} */
+    const precise = math.with({ precision: 50 })`${1} / ${3}`
+    assert.ok(precise instanceof Decimal)
+    /** @type {import('../src/types').Explanation<Decimal>} */
+    const explanation = math.explain`${2} * ${3}`
+    assert.strictEqual(explanation.result.toString(), '6')
+  })
+
+  test('defineFormula inputs follow function signatures', () => {
+    const floor = defineFormula('max(cost, 0)')
+    /** @type {Decimal} */
+    const cost = floor.evaluate({ cost: '-5' })
+    assert.strictEqual(cost.toString(), '0')
+    assert.strictEqual(floor.evaluate({ cost: ['1', 7] }).toString(), '7')
+
+    const quantile = defineFormula('percentile(xs, p)')
+    assert.strictEqual(quantile.evaluate({ xs: ['1', '2', '3'], p: 50 }).toString(), '2')
+    // @ts-expect-error p is a single value
+    assert.throws(() => quantile.evaluate({ xs: ['1', '2', '3'], p: ['50'] }))
+    // @ts-expect-error xs is an array
+    assert.throws(() => quantile.evaluate({ xs: '1', p: 50 }))
+
+    const rate = defineFormula('irr(flows)')
+    assert.strictEqual(rate.evaluate({ flows: ['-100', '110'] }).toFixed(4), '0.1000')
+    // @ts-expect-error flows is an array
+    assert.throws(() => rate.evaluate({ flows: '-100' }))
+
+    const doubled = defineFormula('sum(xs * 2)')
+    assert.strictEqual(doubled.evaluate({ xs: ['1', '2'] }).toString(), '6')
+
+    // @ts-expect-error tax is missing
+    assert.throws(() => defineFormula('price * (1 + tax)').evaluate({ price: '10' }))
+  })
+
+  test('FormulaInputs', () => {
+    /** @type {FormulaInputs<'npv(rate, flows) + sum(extras)'>} */
+    const npv = { rate: '0.1', flows: [-100, 60, 60], extras: [] }
+    /** @type {FormulaInputs<'npv(rate, flows)'>} */
+    const single = { rate: '0.1', flows: '60' }
+    // @ts-expect-error rate is a single value
+    /** @type {FormulaInputs<'npv(rate, flows)'>} */ const rates = { rate: ['0.1'], flows: [] }
+    /** @type {FormulaInputs<'xnpv(rate, flows, dates)'>} */
+    const dated = { rate: '0.1', flows: ['-100', '110'], dates: [0, 365] }
+    /** @type {FormulaInputs<'allocate(total, ratios)'>} */
+    const split = { total: '100', ratios: [1, 2] }
+    /** @type {FormulaInputs<'let t = order.total * 2; t + round(fee, 2)'>} */
+    const order = { order: { total: '5' }, fee: '1.005' }
+    // @ts-expect-error t is bound by let
+    /** @type {FormulaInputs<'let t = a; t'>} */ const bound = { a: 1, t: 2 }
+    // @ts-expect-error round() takes single values
+    /** @type {FormulaInputs<'round(x, 2)'>} */ const rounded = { x: ['1'] }
+    assert.ok([npv, single, rates, dated, split, order, bound, rounded].every(Boolean))
+  })
+})